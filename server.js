@@ -1,5 +1,6 @@
 import express from 'express';
 import { createServer } from 'http';
+import { hostname } from 'os';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
@@ -9,6 +10,9 @@ import { connectDatabase } from './src/config/database.js';
 import { RoomManager } from './src/managers/RoomManager.js';
 import { PlayerManager } from './src/managers/PlayerManager.js';
 import { GameManager } from './src/managers/GameManager.js';
+import { ClusterManager } from './src/managers/ClusterManager.js';
+import { createMongoAdapter } from './src/config/socketAdapter.js';
+import { createRepositories, loadRepositories, flushRepositories } from './src/repositories/index.js';
 import { setupRoutes } from './src/routes/index.js';
 import { setupSocketHandlers } from './src/socket/handlers.js';
 import { rateLimiter } from './src/middleware/rateLimiter.js';
@@ -61,13 +65,39 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Rate limiting
 app.use('/api', rateLimiter);
 
-// Connect to database
-await connectDatabase();
+// Storage backend: 'mongo' (default) writes through to MongoDB, 'memory' keeps everything in process
+const storageBackend = process.env.STORAGE_BACKEND || 'mongo';
+const repositories = createRepositories(storageBackend);
+
+// Cluster mode lets several server processes share rooms; it needs MongoDB storage
+const clusterMode = process.env.CLUSTER_MODE === 'true';
+if (clusterMode && storageBackend !== 'mongo') {
+  throw new Error('Cluster mode requires the mongo storage backend');
+}
+
+if (storageBackend === 'mongo') {
+  await connectDatabase();
+}
+
+if (clusterMode) {
+  io.adapter(await createMongoAdapter());
+}
+
+// Pick up rooms, players and games that were running before a restart
+await loadRepositories(repositories);
 
 // Initialize managers
-const roomManager = new RoomManager();
-const playerManager = new PlayerManager();
-const gameManager = new GameManager(roomManager, playerManager);
+const roomManager = new RoomManager(repositories.rooms);
+const playerManager = new PlayerManager(repositories.players, repositories.profiles);
+const gameManager = new GameManager(roomManager, playerManager, repositories.games, repositories.records);
+const clusterManager = new ClusterManager(io, roomManager, gameManager, repositories, {
+  enabled: clusterMode,
+  instanceId: process.env.INSTANCE_ID || `${hostname()}:${process.env.PORT || 3001}`
+});
+
+// In cluster mode only the rooms this instance can claim are kept
+await clusterManager.start();
+gameManager.restoreGames();
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -80,10 +110,10 @@ app.get('/health', (req, res) => {
 });
 
 // Setup API routes
-setupRoutes(app, roomManager, playerManager, gameManager);
+setupRoutes(app, roomManager, playerManager, gameManager, clusterManager);
 
 // Setup Socket.IO handlers
-setupSocketHandlers(io, roomManager, playerManager, gameManager);
+setupSocketHandlers(io, roomManager, playerManager, gameManager, clusterManager);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -102,9 +132,13 @@ app.use('*', (req, res) => {
 // Cleanup on shutdown
 process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully');
+  await flushRepositories(repositories);
+  await clusterManager.cleanup();
   roomManager.cleanup();
-  const { disconnectDatabase } = await import('./src/config/database.js');
-  await disconnectDatabase();
+  if (storageBackend === 'mongo') {
+    const { disconnectDatabase } = await import('./src/config/database.js');
+    await disconnectDatabase();
+  }
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -113,9 +147,13 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully');
+  await flushRepositories(repositories);
+  await clusterManager.cleanup();
   roomManager.cleanup();
-  const { disconnectDatabase } = await import('./src/config/database.js');
-  await disconnectDatabase();
+  if (storageBackend === 'mongo') {
+    const { disconnectDatabase } = await import('./src/config/database.js');
+    await disconnectDatabase();
+  }
   server.close(() => {
     console.log('✅ Server closed');
     process.exit(0);
@@ -127,7 +165,10 @@ const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`🚀 Crazy Bridge Server running on port ${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📊 Database: ${process.env.MONGODB_URI ? 'MongoDB Atlas' : 'Local MongoDB'}`);
+  if (clusterMode) {
+    console.log(`🛰️ Cluster instance: ${clusterManager.instanceId}`);
+  }
+  console.log(`📊 Storage: ${storageBackend === 'memory' ? 'In-memory' : process.env.MONGODB_URI ? 'MongoDB Atlas' : 'Local MongoDB'}`);
   console.log(`🎮 Ready for multiplayer connections!`);
 });
 
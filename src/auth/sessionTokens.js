@@ -0,0 +1,68 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const DEFAULT_SESSION_TTL = 30 * 24 * 60 * 60; // seconds
+
+let generatedSecret = null;
+
+// All instances must share SESSION_SECRET for tokens to work across restarts and processes
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) {
+    return process.env.SESSION_SECRET;
+  }
+
+  if (!generatedSecret) {
+    generatedSecret = randomBytes(32).toString('hex');
+    console.warn('⚠️ SESSION_SECRET not set, using a random secret: sessions will not survive a restart');
+  }
+  return generatedSecret;
+}
+
+function getSessionTtl() {
+  return Number(process.env.SESSION_TTL) || DEFAULT_SESSION_TTL;
+}
+
+function sign(encodedPayload) {
+  return createHmac('sha256', getSessionSecret()).update(encodedPayload).digest('base64url');
+}
+
+export function createSessionId() {
+  return randomBytes(16).toString('hex');
+}
+
+// Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+export function signSessionToken(playerId, sessionId) {
+  const payload = {
+    sub: playerId,
+    sid: sessionId,
+    exp: Math.floor(Date.now() / 1000) + getSessionTtl()
+  };
+
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+export function verifySessionToken(token) {
+  const [encodedPayload, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!encodedPayload || !signature) {
+    throw new Error('Invalid session token');
+  }
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new Error('Invalid session token');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  } catch (error) {
+    throw new Error('Invalid session token');
+  }
+
+  if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+    throw new Error('Session expired');
+  }
+
+  return payload;
+}
@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+import { createAdapter } from '@socket.io/mongo-adapter';
+
+const ADAPTER_COLLECTION = 'socket.io-adapter-events';
+
+// Shares Socket.IO broadcasts between server instances through MongoDB (requires a replica set)
+export async function createMongoAdapter() {
+  const db = mongoose.connection.db;
+
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, {
+      capped: true,
+      size: 1e6
+    });
+  } catch (error) {
+    // Collection already exists
+  }
+
+  console.log('📡 Socket.IO MongoDB adapter enabled');
+  return createAdapter(db.collection(ADAPTER_COLLECTION));
+}
@@ -0,0 +1,54 @@
+export const SUITS = ['hearts', 'diamonds', 'clubs', 'spades'];
+export const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
+export const DECK_SIZE = SUITS.length * RANKS.length;
+
+export function createDeck() {
+  const deck = [];
+
+  for (const suit of SUITS) {
+    for (const rank of RANKS) {
+      deck.push({ suit, rank });
+    }
+  }
+
+  return deck;
+}
+
+export function shuffleDeck(deck, random = Math.random) {
+  const shuffled = [...deck];
+
+  // Fisher-Yates shuffle
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+}
+
+export function hasEnoughCards(playerCount, cardsPerRound) {
+  return playerCount * cardsPerRound <= DECK_SIZE;
+}
+
+export const RANK_ORDERS = {
+  aceHigh: RANKS,
+  aceLow: ['A', ...RANKS.slice(0, -1)]
+};
+
+export function getRankValue(rank, rankOrder = 'aceHigh') {
+  return (RANK_ORDERS[rankOrder] || RANK_ORDERS.aceHigh).indexOf(rank);
+}
+
+// Whether `card` takes the trick from the card currently winning it
+export function beatsCard(card, winningCard, trumpSuit, rankOrder = 'aceHigh') {
+  if (card.suit === winningCard.suit) {
+    return getRankValue(card.rank, rankOrder) > getRankValue(winningCard.rank, rankOrder);
+  }
+
+  if (trumpSuit && card.suit === trumpSuit) {
+    return true;
+  }
+
+  // Off-suit cards never win; a lead-suit card only loses to trump
+  return false;
+}
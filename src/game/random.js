@@ -0,0 +1,21 @@
+import { createHmac, randomBytes } from 'crypto';
+
+const SEED_BYTES = 32;
+const DRAW_BYTES = 6; // 48 bits per number, well past the bias a 52-card shuffle could show
+
+// A fresh 256-bit seed; far too many to search for the deal behind a hand
+export function generateSeed() {
+  return randomBytes(SEED_BYTES).toString('hex');
+}
+
+// Deterministic stream from HMAC-SHA256(seed, counter), so a deal can be reproduced from its seed
+// without the seed being recoverable from the cards
+export function createSeededRandom(seed) {
+  const key = Buffer.from(seed, 'hex');
+  let counter = 0;
+
+  return () => {
+    const block = createHmac('sha256', key).update(String(counter++)).digest();
+    return block.readUIntBE(0, DRAW_BYTES) / 2 ** (DRAW_BYTES * 8);
+  };
+}
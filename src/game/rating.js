@@ -0,0 +1,35 @@
+export const DEFAULT_RATING = 1500;
+export const RATING_K_FACTOR = 32;
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// Free-for-all Elo: every pair of players counts as one game, won by whoever finished higher
+// (a draw on a shared position). The K factor is split across the opponents so a game moves a
+// rating about as much as a single head-to-head game would.
+// entries: [{ id, rating, position }] -> { [id]: change }
+export function calculateRatingChanges(entries, kFactor = RATING_K_FACTOR) {
+  const changes = {};
+  if (entries.length < 2) {
+    return changes;
+  }
+
+  const perOpponent = kFactor / (entries.length - 1);
+
+  entries.forEach(entry => {
+    const delta = entries
+      .filter(opponent => opponent.id !== entry.id)
+      .reduce((total, opponent) => {
+        let actual = 0.5;
+        if (entry.position < opponent.position) actual = 1;
+        else if (entry.position > opponent.position) actual = 0;
+
+        return total + actual - expectedScore(entry.rating, opponent.rating);
+      }, 0);
+
+    changes[entry.id] = Math.round(perOpponent * delta);
+  });
+
+  return changes;
+}
@@ -0,0 +1,53 @@
+import { DECK_SIZE } from './cards.js';
+
+export const ROUND_SHAPES = ['downUp', 'upDown', 'down', 'up', 'custom'];
+
+// Largest hand that still leaves room for at least two players
+export const MAX_CARDS_PER_ROUND = Math.floor(DECK_SIZE / 2);
+
+function ascending(from, to) {
+  const values = [];
+  for (let i = from; i <= to; i++) {
+    values.push(i);
+  }
+  return values;
+}
+
+function descending(from, to) {
+  return ascending(to, from).reverse();
+}
+
+export function createRoundSequence(gameLength = 10, roundShape = 'downUp', customRounds = []) {
+  if (!ROUND_SHAPES.includes(roundShape)) {
+    throw new Error('Invalid round shape');
+  }
+
+  if (roundShape === 'custom') {
+    const isValid = Array.isArray(customRounds) && customRounds.length > 0 &&
+      customRounds.every(cards => Number.isInteger(cards) && cards >= 1 && cards <= MAX_CARDS_PER_ROUND);
+    if (!isValid) {
+      throw new Error('Invalid custom rounds');
+    }
+    return [...customRounds];
+  }
+
+  if (!Number.isInteger(gameLength) || gameLength < 1 || gameLength > MAX_CARDS_PER_ROUND) {
+    throw new Error('Invalid game length');
+  }
+
+  switch (roundShape) {
+    case 'down':
+      return descending(gameLength, 1);
+    case 'up':
+      return ascending(1, gameLength);
+    case 'upDown':
+      return [...ascending(1, gameLength), ...descending(gameLength - 1, 1)];
+    default:
+      return [...descending(gameLength, 1), ...ascending(2, gameLength)];
+  }
+}
+
+export function getMaxCardsPerRound(settings) {
+  const sequence = createRoundSequence(settings.gameLength, settings.roundShape, settings.customRounds);
+  return Math.max(...sequence);
+}
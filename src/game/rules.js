@@ -0,0 +1,47 @@
+// Returns the reason a card may not be played, or null if the play is legal
+export function getPlayViolation(card, hand, gameState) {
+  const { trumpSuit, leadSuit, rules = {} } = gameState;
+  const isLeading = gameState.currentTrick.length === 0;
+
+  if (isLeading) {
+    const hasOnlyTrump = hand.every(c => c.suit === trumpSuit);
+    if (rules.noLeadTrumpUntilBroken && trumpSuit && card.suit === trumpSuit &&
+        !gameState.trumpBroken && !hasOnlyTrump) {
+      return 'Cannot lead trump until trump has been broken';
+    }
+    return null;
+  }
+
+  const canFollow = hand.some(c => c.suit === leadSuit);
+  if (canFollow) {
+    return card.suit === leadSuit ? null : 'Must follow the lead suit';
+  }
+
+  const hasTrump = trumpSuit && hand.some(c => c.suit === trumpSuit);
+  if (rules.mustTrumpIfVoid && hasTrump && card.suit !== trumpSuit) {
+    return 'Must play trump when void in the lead suit';
+  }
+
+  return null;
+}
+
+export function getLegalCards(hand, gameState) {
+  return hand.filter(card => getPlayViolation(card, hand, gameState) === null);
+}
+
+// With the hook rule the last bidder may not make the total equal the cards dealt
+export function getForbiddenBid(gameState) {
+  if (!gameState.rules || !gameState.rules.hookRule) {
+    return null;
+  }
+
+  const pendingBidders = gameState.players.filter(p => p.bid === null);
+  if (pendingBidders.length !== 1) {
+    return null;
+  }
+
+  const totalBids = gameState.players.reduce((total, p) => total + (p.bid || 0), 0);
+  const forbiddenBid = gameState.cardsPerRound - totalBids;
+
+  return forbiddenBid >= 0 ? forbiddenBid : null;
+}
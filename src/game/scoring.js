@@ -0,0 +1,74 @@
+const ZERO_BONUS_MIN_CARDS = 5;
+
+export const SCORING_PRESETS = {
+  classic: {
+    name: 'Classic',
+    description: 'Exact bid scores 10 plus tricks won, otherwise nothing',
+    score(bid, actualWins) {
+      if (bid === actualWins) {
+        return { score: 10 + actualWins, breakdown: `Exact bid: 10 + ${actualWins} tricks` };
+      }
+      return { score: 0, breakdown: `Missed bid of ${bid} (won ${actualWins})` };
+    }
+  },
+  penalty: {
+    name: 'Penalty',
+    description: 'Exact bid scores 10 plus tricks won, each trick over or under costs 1 point',
+    score(bid, actualWins) {
+      if (bid === actualWins) {
+        return { score: 10 + actualWins, breakdown: `Exact bid: 10 + ${actualWins} tricks` };
+      }
+      const difference = Math.abs(bid - actualWins);
+      return {
+        score: -difference,
+        breakdown: `Missed bid of ${bid} by ${difference}: -1 x ${difference} tricks`
+      };
+    }
+  },
+  squared: {
+    name: 'Squared',
+    description: 'Exact bid scores 5 plus tricks won squared, otherwise nothing',
+    score(bid, actualWins) {
+      if (bid === actualWins) {
+        return {
+          score: 5 + actualWins * actualWins,
+          breakdown: `Exact bid: 5 + ${actualWins}² tricks`
+        };
+      }
+      return { score: 0, breakdown: `Missed bid of ${bid} (won ${actualWins})` };
+    }
+  },
+  zeroBonus: {
+    name: 'Zero Bonus',
+    description: `Classic scoring, plus a bonus equal to the cards dealt for making a zero bid with ${ZERO_BONUS_MIN_CARDS} or more cards`,
+    score(bid, actualWins, cardsInRound) {
+      const result = SCORING_PRESETS.classic.score(bid, actualWins);
+      if (bid === 0 && actualWins === 0 && cardsInRound >= ZERO_BONUS_MIN_CARDS) {
+        return {
+          score: result.score + cardsInRound,
+          breakdown: `${result.breakdown} + ${cardsInRound} zero bid bonus`
+        };
+      }
+      return result;
+    }
+  }
+};
+
+export const DEFAULT_SCORING_PRESET = 'classic';
+
+export function isScoringPreset(presetId) {
+  return Object.prototype.hasOwnProperty.call(SCORING_PRESETS, presetId);
+}
+
+export function scoreRound(presetId, bid, actualWins, cardsInRound) {
+  const preset = SCORING_PRESETS[presetId] || SCORING_PRESETS[DEFAULT_SCORING_PRESET];
+  return preset.score(bid, actualWins, cardsInRound);
+}
+
+export function listScoringPresets() {
+  return Object.entries(SCORING_PRESETS).map(([id, preset]) => ({
+    id,
+    name: preset.name,
+    description: preset.description
+  }));
+}
@@ -0,0 +1,65 @@
+// Applied in order when players finish on the same score
+export const TIEBREAKERS = {
+  exactBids: {
+    name: 'Most exact bids',
+    compare: (a, b) => b.exactBids - a.exactBids
+  },
+  tricksWon: {
+    name: 'Most tricks won',
+    compare: (a, b) => b.tricksWon - a.tricksWon
+  },
+  fewestMisses: {
+    name: 'Fewest missed bids',
+    compare: (a, b) => a.misses - b.misses
+  }
+};
+
+export const DEFAULT_TIEBREAKERS = ['exactBids', 'tricksWon', 'fewestMisses'];
+
+export function isTiebreakerList(tiebreakers) {
+  return Array.isArray(tiebreakers) &&
+    tiebreakers.every(id => Object.hasOwn(TIEBREAKERS, id)) &&
+    new Set(tiebreakers).size === tiebreakers.length;
+}
+
+// Final order of a game, best first. Players still level after every tiebreaker share a position.
+export function computeStandings(players, roundHistory = [], tiebreakers = DEFAULT_TIEBREAKERS) {
+  const entries = players.map(player => {
+    const rounds = roundHistory
+      .map(round => round.find(entry => entry.playerId === player.id))
+      .filter(Boolean);
+    const exactBids = rounds.filter(round => round.bid === round.actualWins).length;
+
+    return {
+      id: player.id,
+      name: player.name,
+      isHuman: player.isHuman,
+      score: player.totalScore,
+      exactBids,
+      tricksWon: rounds.reduce((total, round) => total + round.actualWins, 0),
+      misses: rounds.length - exactBids
+    };
+  });
+
+  const compare = (a, b) => {
+    if (a.score !== b.score) {
+      return b.score - a.score;
+    }
+    for (const id of tiebreakers) {
+      const result = TIEBREAKERS[id].compare(a, b);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  };
+
+  const sorted = entries.sort(compare);
+  sorted.forEach((entry, index) => {
+    entry.position = index > 0 && compare(sorted[index - 1], entry) === 0
+      ? sorted[index - 1].position
+      : index + 1;
+  });
+
+  return sorted;
+}
@@ -0,0 +1,92 @@
+import { createDeck, getRankValue, beatsCard } from './cards.js';
+import { getLegalCards, getForbiddenBid } from './rules.js';
+
+// Fallback and computer-player decisions, kept free of any manager state
+
+function cardStrength(card, gameState) {
+  const rankValue = getRankValue(card.rank, gameState.rules.rankOrder);
+  // Any trump outranks every plain card
+  return card.suit === gameState.trumpSuit ? rankValue + 100 : rankValue;
+}
+
+export function chooseLowestCard(hand, gameState) {
+  const legalCards = getLegalCards(hand, gameState);
+  return legalCards.reduce((lowest, card) => (
+    cardStrength(card, gameState) < cardStrength(lowest, gameState) ? card : lowest
+  ));
+}
+
+// Count the cards that should win a trick: high trumps and plain aces and kings
+export function estimateTricks(hand, gameState) {
+  const highRanks = gameState.rules.rankOrder === 'aceLow' ? ['K', 'Q'] : ['A', 'K'];
+  const highTrumpRanks = gameState.rules.rankOrder === 'aceLow' ? ['K', 'Q', 'J', '10'] : ['A', 'K', 'Q', 'J'];
+
+  return hand.filter(card => (
+    card.suit === gameState.trumpSuit ? highTrumpRanks.includes(card.rank) : highRanks.includes(card.rank)
+  )).length;
+}
+
+function avoidForbiddenBid(bid, gameState) {
+  if (bid !== getForbiddenBid(gameState)) {
+    return bid;
+  }
+  return bid > 0 ? bid - 1 : bid + 1;
+}
+
+export function chooseBid(hand, gameState, strategy = 'zero') {
+  const bid = strategy === 'heuristic'
+    ? Math.min(estimateTricks(hand, gameState), gameState.cardsPerRound)
+    : 0;
+
+  return avoidForbiddenBid(bid, gameState);
+}
+
+// In a blind round a player sees every card but their own: bid to win the trick when most of the
+// cards still unseen would beat the best card showing
+export function chooseBlindBid(visibleCards, gameState, strategy = 'zero') {
+  let bid = 0;
+
+  if (strategy === 'heuristic') {
+    const seen = [...visibleCards, gameState.trumpCard].filter(Boolean);
+    const isSeen = card => seen.some(seenCard => seenCard.suit === card.suit && seenCard.rank === card.rank);
+    const unseen = createDeck().filter(card => !isSeen(card));
+    const best = Math.max(...visibleCards.map(card => cardStrength(card, gameState)));
+    const stronger = unseen.filter(card => cardStrength(card, gameState) > best).length;
+
+    bid = stronger * 2 > unseen.length ? 1 : 0;
+  }
+
+  return avoidForbiddenBid(bid, gameState);
+}
+
+function currentWinningCard(gameState) {
+  return gameState.currentTrick.reduce((winning, card) => (
+    beatsCard(card, winning, gameState.trumpSuit, gameState.rules.rankOrder) ? card : winning
+  ));
+}
+
+function byStrength(gameState) {
+  return (a, b) => cardStrength(a, gameState) - cardStrength(b, gameState);
+}
+
+// Try to take tricks until the bid is made, then try to lose the rest
+export function chooseBotCard(hand, gameState, player) {
+  const legalCards = [...getLegalCards(hand, gameState)].sort(byStrength(gameState));
+  const lowest = legalCards[0];
+  const highest = legalCards[legalCards.length - 1];
+  const wantsTricks = player.actualWins < (player.bid || 0);
+
+  if (gameState.currentTrick.length === 0) {
+    return wantsTricks ? highest : lowest;
+  }
+
+  const winningCard = currentWinningCard(gameState);
+  const beats = card => beatsCard(card, winningCard, gameState.trumpSuit, gameState.rules.rankOrder);
+
+  if (wantsTricks) {
+    return legalCards.find(beats) || lowest;
+  }
+
+  const losingCards = legalCards.filter(card => !beats(card));
+  return losingCards.length > 0 ? losingCards[losingCards.length - 1] : lowest;
+}
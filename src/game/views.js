@@ -0,0 +1,57 @@
+// One-card rounds played "forehead" style: everyone sees every card but their own
+export function isBlindRound(gameState) {
+  return Boolean(gameState.rules && gameState.rules.blindOneCard) && gameState.cardsPerRound === 1;
+}
+
+function hideHand(player) {
+  const { hand, ...publicPlayer } = player;
+  return { ...publicPlayer, handCount: hand.length };
+}
+
+function hideCards(cards) {
+  return cards.map(() => ({ hidden: true }));
+}
+
+// What anyone outside the table may see: no hands and no undealt cards
+export function createPublicView(gameState) {
+  if (!gameState) {
+    return gameState;
+  }
+
+  const { deck, ...publicState } = gameState;
+
+  return {
+    ...publicState,
+    players: gameState.players.map(hideHand),
+    legalCards: [],
+    deckCount: deck ? deck.length : 0
+  };
+}
+
+// What a seated player may see: their own hand plus card counts for everyone else
+export function createPlayerView(gameState, playerId) {
+  // Anyone without a seat sees only what the public does
+  if (!gameState || !gameState.players.some(player => player.id === playerId)) {
+    return createPublicView(gameState);
+  }
+
+  const blind = isBlindRound(gameState);
+  const isOnTurn = gameState.players[gameState.currentPlayerIndex]?.id === playerId;
+  const publicState = createPublicView(gameState);
+
+  return {
+    ...publicState,
+    players: gameState.players.map((player, index) => {
+      if (player.id === playerId) {
+        return {
+          ...publicState.players[index],
+          hand: blind ? hideCards(player.hand) : player.hand
+        };
+      }
+
+      // In a blind round the other players' cards are the ones you can see
+      return blind ? { ...publicState.players[index], hand: player.hand } : publicState.players[index];
+    }),
+    legalCards: isOnTurn ? (blind ? hideCards(gameState.legalCards) : gameState.legalCards) : []
+  };
+}
@@ -0,0 +1,194 @@
+import { hostname } from 'os';
+import { RoomOwnership } from '../models/RoomOwnership.js';
+import { createRoomOperations } from './roomOperations.js';
+
+const HEARTBEAT_INTERVAL = 10 * 1000;
+const OWNERSHIP_TIMEOUT = 30 * 1000; // an owner silent for this long is considered gone
+const FORWARD_TIMEOUT = 5000;
+const MAX_CLAIM_ATTEMPTS = 10;
+
+// Tracks which server instance holds each room and sends room operations to that instance.
+// With clustering disabled every room is local and operations run in-process.
+export class ClusterManager {
+  constructor(io, roomManager, gameManager, repositories, options = {}) {
+    this.io = io;
+    this.roomManager = roomManager;
+    this.gameManager = gameManager;
+    this.repositories = repositories;
+    this.enabled = Boolean(options.enabled);
+    this.instanceId = options.instanceId || `${hostname()}:${process.pid}`;
+    this.operations = createRoomOperations(roomManager, gameManager);
+    this.heartbeatInterval = null;
+  }
+
+  async start() {
+    if (!this.enabled) {
+      return;
+    }
+
+    // Run operations other instances forward to rooms held here
+    this.io.on('cluster:run', async ({ instanceId, operation, args }, callback) => {
+      if (instanceId !== this.instanceId) {
+        return callback(null);
+      }
+
+      try {
+        callback({ result: await this.operations[operation](...args) });
+      } catch (error) {
+        callback({ error: error.message });
+      }
+    });
+
+    this.roomManager.on('roomDeleted', ({ roomCode }) => {
+      this.releaseRoom(roomCode).catch(error => console.error(`❌ Failed to release room ${roomCode}:`, error));
+    });
+
+    this.heartbeatInterval = setInterval(() => {
+      RoomOwnership.updateMany({ instanceId: this.instanceId }, { heartbeatAt: new Date() })
+        .catch(error => console.error('❌ Room ownership heartbeat failed:', error));
+    }, HEARTBEAT_INTERVAL);
+
+    await this.adoptLoadedRooms();
+
+    console.log(`🛰️ Cluster instance ${this.instanceId} holding ${this.roomManager.getRoomCount()} rooms`);
+  }
+
+  // Keeps the stored rooms this instance can own and forgets the ones another instance holds
+  async adoptLoadedRooms() {
+    for (const { code } of this.roomManager.getActiveRooms()) {
+      if (!(await this.claimRoom(code))) {
+        this.repositories.rooms.evict(code);
+        this.repositories.games.evict(code);
+      }
+    }
+  }
+
+  // Takes over a stored room whose owner has gone away
+  async adoptRoom(roomCode) {
+    if (!(await this.claimRoom(roomCode))) {
+      return false;
+    }
+
+    const room = await this.repositories.rooms.fetch(roomCode);
+    if (!room) {
+      await this.releaseRoom(roomCode);
+      return false;
+    }
+
+    await this.repositories.games.fetch(roomCode);
+    this.gameManager.restoreGame(roomCode);
+
+    console.log(`🛰️ Room ${roomCode} adopted by ${this.instanceId}`);
+    return true;
+  }
+
+  async claimRoom(roomCode) {
+    if (!this.enabled) {
+      return true;
+    }
+
+    const staleBefore = new Date(Date.now() - OWNERSHIP_TIMEOUT);
+
+    try {
+      await RoomOwnership.findOneAndUpdate(
+        { roomCode, $or: [{ instanceId: this.instanceId }, { heartbeatAt: { $lt: staleBefore } }] },
+        { instanceId: this.instanceId, heartbeatAt: new Date() },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // Duplicate key: another live instance owns the room
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async releaseRoom(roomCode) {
+    if (!this.enabled) {
+      return;
+    }
+
+    await RoomOwnership.deleteOne({ roomCode, instanceId: this.instanceId });
+  }
+
+  async getOwner(roomCode) {
+    const ownership = await RoomOwnership.findOne({
+      roomCode,
+      heartbeatAt: { $gte: new Date(Date.now() - OWNERSHIP_TIMEOUT) }
+    }).lean();
+
+    return ownership ? ownership.instanceId : null;
+  }
+
+  // Creates a room under a code no other instance holds
+  async createRoom(hostPlayerId, options) {
+    let roomCode = this.roomManager.generateRoomCode();
+    let attempts = 1;
+
+    while (!(await this.claimRoom(roomCode))) {
+      if (attempts++ >= MAX_CLAIM_ATTEMPTS) {
+        throw new Error('Unable to generate unique room code');
+      }
+      roomCode = this.roomManager.generateRoomCode();
+    }
+
+    try {
+      return this.roomManager.createRoom(hostPlayerId, options, roomCode);
+    } catch (error) {
+      await this.releaseRoom(roomCode);
+      throw error;
+    }
+  }
+
+  // Runs a room operation wherever the room lives
+  async run(roomCode, operation, ...args) {
+    if (this.enabled && !this.roomManager.getRoom(roomCode)) {
+      const owner = await this.getOwner(roomCode);
+
+      if (owner && owner !== this.instanceId) {
+        return this.forward(owner, operation, [roomCode, ...args]);
+      }
+
+      await this.adoptRoom(roomCode);
+    }
+
+    return this.operations[operation](roomCode, ...args);
+  }
+
+  async forward(instanceId, operation, args) {
+    let responses;
+    try {
+      responses = await this.io.timeout(FORWARD_TIMEOUT).serverSideEmitWithAck('cluster:run', {
+        instanceId,
+        operation,
+        args
+      });
+    } catch (error) {
+      throw new Error('Room owner is unavailable');
+    }
+
+    const response = responses.find(Boolean);
+    if (!response) {
+      throw new Error('Room owner is unavailable');
+    }
+
+    if (response.error) {
+      throw new Error(response.error);
+    }
+
+    return response.result;
+  }
+
+  async cleanup() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+    }
+
+    // Let other instances adopt our rooms straight away
+    if (this.enabled) {
+      await RoomOwnership.deleteMany({ instanceId: this.instanceId });
+    }
+  }
+}
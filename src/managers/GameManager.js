@@ -1,11 +1,27 @@
 import { EventEmitter } from 'events';
+import { createDeck, shuffleDeck, hasEnoughCards, beatsCard } from '../game/cards.js';
+import { getPlayViolation, getLegalCards, getForbiddenBid } from '../game/rules.js';
+import { SCORING_PRESETS, DEFAULT_SCORING_PRESET, scoreRound } from '../game/scoring.js';
+import { createRoundSequence, getMaxCardsPerRound } from '../game/rounds.js';
+import { isBlindRound } from '../game/views.js';
+import { chooseBid, chooseBlindBid, chooseLowestCard, chooseBotCard } from '../game/strategy.js';
+import { generateSeed, createSeededRandom } from '../game/random.js';
+import { computeStandings, DEFAULT_TIEBREAKERS } from '../game/standings.js';
+import { MemoryRepository } from '../repositories/MemoryRepository.js';
+
+const BLIND_PLAY_DELAY = 1500; // ms before a blind card is played for its holder
+const TURN_WARNING_SECONDS = 10;
+const BOT_MIN_DELAY = 800; // ms, plus up to BOT_DELAY_VARIANCE so bots don't answer instantly
+const BOT_DELAY_VARIANCE = 1200;
+const ROUND_ADVANCE_DELAY = 3000; // ms at the end of a round before it moves on without a human
 
 export class GameManager extends EventEmitter {
-  constructor(roomManager, playerManager) {
+  constructor(roomManager, playerManager, activeGames = new MemoryRepository(), gameRecords = new MemoryRepository()) {
     super();
     this.roomManager = roomManager;
     this.playerManager = playerManager;
-    this.activeGames = new Map();
+    this.activeGames = activeGames;
+    this.gameRecords = gameRecords;
 
     // Listen to room manager events
     this.roomManager.on('allPlayersReady', this.handleAllPlayersReady.bind(this));
@@ -16,7 +32,11 @@ export class GameManager extends EventEmitter {
   async handleAllPlayersReady({ roomCode, room }) {
     if (room.settings.autoStart) {
       console.log(`🚀 Auto-starting game in room ${roomCode}`);
-      await this.startGame(roomCode);
+      try {
+        await this.startGame(roomCode);
+      } catch (error) {
+        console.error(`❌ Failed to auto-start game in room ${roomCode}:`, error);
+      }
     } else {
       console.log(`✅ All players ready in room ${roomCode}, waiting for host to start`);
       this.emit('readyToStart', { roomCode, room });
@@ -47,6 +67,10 @@ export class GameManager extends EventEmitter {
       throw new Error('Game already started or finished');
     }
 
+    if (hostId && room.spectators.has(hostId)) {
+      throw new Error('Spectators cannot start the game');
+    }
+
     // Verify host permission if hostId provided
     if (hostId) {
       const host = room.players.get(hostId);
@@ -66,16 +90,31 @@ export class GameManager extends EventEmitter {
       throw new Error('All players must be ready to start');
     }
 
-    // Initialize game state
+    // Check the deck can cover the largest round
+    if (!hasEnoughCards(room.players.size, getMaxCardsPerRound(room.settings))) {
+      throw new Error('Not enough cards for this many players and game length');
+    }
+
+    // Initialize game state and deal the first round, keeping a pristine copy for replays
     const gameState = this.initializeGameState(room);
+    const initialState = structuredClone(gameState);
+    const seed = generateSeed();
+    await this.dealCards(gameState, seed);
     
     // Store active game
     this.activeGames.set(roomCode, {
       roomCode,
       gameState,
+      initialState,
+      actionLog: [{ seq: 1, type: 'start', seed, timestamp: Date.now() }],
       startedAt: Date.now(),
       currentRound: 0,
-      phase: 'setup'
+      phase: 'setup',
+      sealedBids: {},
+      autoPlayTimer: null,
+      botTimer: null,
+      turnTimer: null,
+      autopilotTimers: {}
     });
 
     // Update room
@@ -84,25 +123,75 @@ export class GameManager extends EventEmitter {
     console.log(`🎮 Game started in room ${roomCode} with ${room.players.size} players`);
     this.emit('gameStarted', { roomCode, room, gameState });
 
+    this.scheduleNextTurn(this.activeGames.get(roomCode));
+
     return gameState;
   }
 
+  // Puts games loaded from storage back in play
+  restoreGames() {
+    const roomCodes = new Set([
+      ...this.activeGames.keys(),
+      ...this.roomManager.getActiveRooms().map(room => room.code)
+    ]);
+
+    roomCodes.forEach(roomCode => this.restoreGame(roomCode));
+  }
+
+  // Every human seat of a restored game starts out disconnected
+  restoreGame(roomCode) {
+    const room = this.roomManager.getRoom(roomCode);
+    const game = this.activeGames.get(roomCode);
+
+    if (!game) {
+      // A room saved mid-game whose game record was lost can't continue
+      if (room && room.gameState === 'playing') {
+        this.roomManager.resetRoom(roomCode);
+      }
+      return null;
+    }
+
+    if (!room || room.gameState !== 'playing') {
+      this.activeGames.delete(roomCode);
+      return null;
+    }
+
+    room.gameData = game.gameState;
+    console.log(`♻️ Game restored in room ${roomCode} at round ${game.gameState.currentRound + 1}`);
+
+    // Pauses the game or starts autopilot grace periods just like a live disconnection would
+    game.gameState.players
+      .filter(player => player.isHuman && player.isConnected)
+      .forEach(player => this.handlePlayerDisconnection(roomCode, player.id));
+
+    this.scheduleNextTurn(game);
+
+    return game;
+  }
+
   initializeGameState(room) {
     const players = Array.from(room.players.values()).map(player => ({
       id: player.id,
       name: player.name,
-      isHuman: true, // All multiplayer players are human
+      isHuman: !player.isBot,
       hand: [],
       bid: null,
+      hasBid: false,
       actualWins: 0,
       totalScore: 0,
+      timeouts: 0,
+      totalTimeouts: 0,
       isConnected: player.isConnected,
+      autopilot: false,
       roundHistory: []
     }));
 
-    // Create round sequence based on game length
-    const gameLength = room.settings.gameLength || 10;
-    const roundSequence = this.createRoundSequence(gameLength);
+    // Create round sequence based on game length and shape
+    const roundSequence = this.createRoundSequence(
+      room.settings.gameLength || 10,
+      room.settings.roundShape,
+      room.settings.customRounds
+    );
 
     return {
       players,
@@ -113,14 +202,36 @@ export class GameManager extends EventEmitter {
       trumpCard: null,
       phase: 'setup',
       currentPlayerIndex: 0,
-      dealer: 0,
+      // The deal passes one seat to the left with every game played at the table
+      dealer: room.series ? room.series.gamesPlayed % players.length : 0,
       currentTrick: [],
       currentTrickPlayers: [],
       leadSuit: null,
       trickWinner: null,
+      trickNumber: 0,
+      lastTrick: null,
+      trumpBroken: false,
+      legalCards: [],
       roundSequence,
       deck: [],
       language: room.settings.language || 'en',
+      rules: {
+        rankOrder: room.settings.rankOrder || 'aceHigh',
+        mustTrumpIfVoid: room.settings.mustTrumpIfVoid || false,
+        noLeadTrumpUntilBroken: room.settings.noLeadTrumpUntilBroken || false,
+        hookRule: room.settings.hookRule || false,
+        biddingMode: room.settings.biddingMode || 'open',
+        scoringPreset: room.settings.scoringPreset || DEFAULT_SCORING_PRESET,
+        tiebreakers: room.settings.tiebreakers || DEFAULT_TIEBREAKERS,
+        blindOneCard: room.settings.blindOneCard || false,
+        turnTimer: room.settings.turnTimer || 0,
+        timeoutBidStrategy: room.settings.timeoutBidStrategy || 'zero',
+        autopilotGrace: room.settings.autopilotGrace || 0
+      },
+      forbiddenBid: null,
+      isPaused: false,
+      pauseReason: null,
+      pausedBy: null,
       roundHistory: [],
       isMultiplayer: true,
       roomCode: room.code,
@@ -128,23 +239,11 @@ export class GameManager extends EventEmitter {
     };
   }
 
-  createRoundSequence(startCards) {
-    const sequence = [];
-    
-    // Decreasing phase
-    for (let i = startCards; i >= 1; i--) {
-      sequence.push(i);
-    }
-    
-    // Increasing phase
-    for (let i = 2; i <= startCards; i++) {
-      sequence.push(i);
-    }
-    
-    return sequence;
+  createRoundSequence(startCards, roundShape = 'downUp', customRounds = []) {
+    return createRoundSequence(startCards, roundShape, customRounds);
   }
 
-  async processGameAction(roomCode, playerId, action) {
+  async processGameAction(roomCode, playerId, action, { automatic = false, timedOut = false } = {}) {
     const game = this.activeGames.get(roomCode);
     if (!game) {
       throw new Error('No active game found');
@@ -155,15 +254,77 @@ export class GameManager extends EventEmitter {
       throw new Error('Room not found');
     }
 
+    if (room.spectators.has(playerId)) {
+      throw new Error('Spectators cannot take game actions');
+    }
+
     // Verify player is in the game
     const player = game.gameState.players.find(p => p.id === playerId);
     if (!player) {
       throw new Error('Player not in game');
     }
 
-    // Process the action based on type
+    if (game.gameState.isPaused) {
+      throw new Error('Game is paused');
+    }
+
+    if (action.type === 'playCard' && isBlindRound(game.gameState) && !automatic) {
+      throw new Error('Cards are played automatically in blind rounds');
+    }
+
+    const entry = {
+      type: 'action',
+      playerId,
+      action: structuredClone(action),
+      automatic,
+      timedOut,
+      timestamp: Date.now()
+    };
+
+    // A new round needs a fresh deal; its seed goes in the log so the deal can be replayed
+    if (action.type === 'nextRound') {
+      entry.seed = generateSeed();
+    }
+
+    const updatedGameState = await this.applyAction(game, entry);
+
+    // Only accepted actions reach the log
+    this.recordLogEntry(game, entry);
+
+    // Update game state
+    game.gameState = updatedGameState;
+    this.roomManager.updateGameState(roomCode, updatedGameState);
+
+    // Emit game state update; a sealed bid only shows who has bid until bidsRevealed
+    const publicAction = action.type === 'placeBid' && updatedGameState.rules.biddingMode === 'sealed'
+      ? { type: 'placeBid', playerId }
+      : action;
+    this.emit('gameStateUpdated', { roomCode, gameState: updatedGameState, action: publicAction });
+
+    // Warn the last bidder which bid the hook rule rules out
+    if (updatedGameState.forbiddenBid !== null) {
+      const lastBidder = updatedGameState.players[updatedGameState.currentPlayerIndex];
+      this.emit('forbiddenBid', {
+        roomCode,
+        playerId: lastBidder.id,
+        forbiddenBid: updatedGameState.forbiddenBid
+      });
+    }
+
+    if (updatedGameState.phase === 'gameEnd') {
+      await this.endGame(roomCode, updatedGameState);
+    } else {
+      this.scheduleNextTurn(game);
+    }
+
+    return updatedGameState;
+  }
+
+  // Applies a logged action to a game; shared by live play and replays
+  async applyAction(game, entry) {
+    const { playerId, action } = entry;
     let updatedGameState;
-    
+
     switch (action.type) {
       case 'placeBid':
         updatedGameState = await this.processBid(game, playerId, action.bid);
@@ -172,22 +333,327 @@ export class GameManager extends EventEmitter {
         updatedGameState = await this.processCardPlay(game, playerId, action.card);
         break;
       case 'nextRound':
-        updatedGameState = await this.processNextRound(game);
+        updatedGameState = await this.processNextRound(game, entry.seed);
         break;
       default:
         throw new Error(`Unknown action type: ${action.type}`);
     }
 
-    // Update game state
-    game.gameState = updatedGameState;
-    this.roomManager.updateGameState(roomCode, updatedGameState);
+    if (entry.timedOut) {
+      const player = updatedGameState.players.find(p => p.id === playerId);
+      player.timeouts++;
+      player.totalTimeouts++;
+    }
 
-    // Emit game state update
-    this.emit('gameStateUpdated', { roomCode, gameState: updatedGameState, action });
+    // Let the player on turn see which cards they may play
+    updatedGameState.legalCards = this.getLegalCardsForCurrentPlayer(updatedGameState);
+    updatedGameState.forbiddenBid = updatedGameState.phase === 'bidding'
+      ? getForbiddenBid(updatedGameState)
+      : null;
 
     return updatedGameState;
   }
 
+  // Every change to a live game is logged, so this is also where it gets stored
+  recordLogEntry(game, entry) {
+    game.actionLog.push({ seq: game.actionLog.length + 1, ...entry });
+    this.activeGames.save(game.roomCode);
+  }
+
+  // Rebuilds the game state after the first `step` log entries
+  async replayActionLog(initialState, actionLog, step = actionLog.length) {
+    const game = {
+      roomCode: initialState.roomCode,
+      gameState: structuredClone(initialState),
+      sealedBids: {},
+      replaying: true
+    };
+
+    for (const entry of actionLog.slice(0, step)) {
+      const player = game.gameState.players.find(p => p.id === entry.playerId);
+
+      switch (entry.type) {
+        case 'start':
+          await this.dealCards(game.gameState, entry.seed);
+          break;
+        case 'action':
+          game.gameState = await this.applyAction(game, entry);
+          break;
+        case 'pause':
+          Object.assign(game.gameState, { isPaused: true, pauseReason: entry.reason, pausedBy: entry.initiatedBy });
+          break;
+        case 'resume':
+          Object.assign(game.gameState, { isPaused: false, pauseReason: null, pausedBy: null });
+          break;
+        case 'connection':
+          player.isConnected = entry.isConnected;
+          break;
+        case 'autopilot':
+          player.autopilot = entry.enabled;
+          break;
+      }
+    }
+
+    return game.gameState;
+  }
+
+  // The running game in a room, or the last one it finished, which is replayed from its record
+  async getReplay(roomCode, step) {
+    const game = this.activeGames.get(roomCode);
+    if (!game) {
+      const room = this.roomManager.getRoom(roomCode);
+      const gameId = room && room.gameData && room.gameData.results && room.gameData.results.gameId;
+      if (!gameId) {
+        throw new Error('No game found');
+      }
+      return this.getMatchReplay(gameId, step);
+    }
+
+    return { ...(await this.buildReplay(game, step)), isFinished: false };
+  }
+
+  async getMatchReplay(gameId, step) {
+    const record = await this.gameRecords.fetch(gameId);
+    if (!record || !record.initialState) {
+      throw new Error('Game record not found');
+    }
+
+    return { ...(await this.buildReplay(record, step)), gameId, isFinished: true };
+  }
+
+  async buildReplay(game, step) {
+    const totalSteps = game.actionLog.length;
+    const targetStep = step === undefined ? totalSteps : step;
+    if (!Number.isInteger(targetStep) || targetStep < 0 || targetStep > totalSteps) {
+      throw new Error('Invalid replay step');
+    }
+
+    const gameState = await this.replayActionLog(game.initialState, game.actionLog, targetStep);
+
+    return {
+      step: targetStep,
+      totalSteps,
+      entry: targetStep > 0 ? game.actionLog[targetStep - 1] : null,
+      gameState
+    };
+  }
+
+  scheduleNextTurn(game) {
+    if (game.gameState.isPaused) {
+      return;
+    }
+
+    this.scheduleBlindPlay(game);
+    this.scheduleBotTurn(game);
+    this.scheduleRoundAdvance(game);
+    this.startTurnTimer(game);
+  }
+
+  // The computer-controlled seat that should move next, if any
+  getBotToAct(gameState) {
+    const isBot = player => !player.isHuman || player.autopilot;
+
+    if (this.isSealedBidding(gameState)) {
+      return gameState.players.find(p => isBot(p) && !p.hasBid) || null;
+    }
+
+    const isBotTurn = gameState.phase === 'bidding' ||
+      (gameState.phase === 'playing' && !isBlindRound(gameState));
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+
+    return isBotTurn && isBot(currentPlayer) ? currentPlayer : null;
+  }
+
+  // Bots act one at a time; each action reschedules the next
+  scheduleBotTurn(game) {
+    const bot = this.getBotToAct(game.gameState);
+    if (game.botTimer || !bot) {
+      return;
+    }
+
+    const delay = BOT_MIN_DELAY + Math.random() * BOT_DELAY_VARIANCE;
+    game.botTimer = setTimeout(async () => {
+      game.botTimer = null;
+
+      // An autopilot seat may have been handed back while the bot was "thinking"
+      const currentBot = this.getBotToAct(game.gameState);
+      if (!currentBot || currentBot.id !== bot.id) {
+        this.scheduleNextTurn(game);
+        return;
+      }
+
+      try {
+        await this.processGameAction(game.roomCode, bot.id, this.chooseBotAction(bot, game.gameState));
+      } catch (error) {
+        console.error(`Bot action error in room ${game.roomCode}:`, error);
+      }
+    }, delay);
+  }
+
+  // Only humans start the next round, so with none connected a computer-controlled seat does it
+  scheduleRoundAdvance(game) {
+    const { gameState } = game;
+    if (game.botTimer || gameState.isPaused || gameState.phase !== 'roundEnd' ||
+        gameState.players.some(player => player.isHuman && player.isConnected)) {
+      return;
+    }
+
+    const seat = gameState.players.find(player => !player.isHuman || player.autopilot) || gameState.players[0];
+    game.botTimer = setTimeout(async () => {
+      game.botTimer = null;
+      try {
+        await this.processGameAction(game.roomCode, seat.id, { type: 'nextRound' }, { automatic: true });
+      } catch (error) {
+        console.error(`Round advance error in room ${game.roomCode}:`, error);
+      }
+    }, ROUND_ADVANCE_DELAY);
+  }
+
+  chooseBotAction(player, gameState) {
+    if (gameState.phase === 'bidding') {
+      return { type: 'placeBid', bid: this.chooseBidFor(player, gameState, 'heuristic') };
+    }
+
+    return { type: 'playCard', card: chooseBotCard(player.hand, gameState, player) };
+  }
+
+  // A seat bids only on what its player could see: in a blind round that is everyone else's card
+  chooseBidFor(player, gameState, strategy) {
+    if (isBlindRound(gameState)) {
+      const visibleCards = gameState.players.filter(p => p.id !== player.id).flatMap(p => p.hand);
+      return chooseBlindBid(visibleCards, gameState, strategy);
+    }
+    return chooseBid(player.hand, gameState, strategy);
+  }
+
+  // Players can't see their own card in a blind round, so it is played for them
+  scheduleBlindPlay(game) {
+    const { gameState } = game;
+    if (game.autoPlayTimer || gameState.phase !== 'playing' || !isBlindRound(gameState)) {
+      return;
+    }
+
+    const player = gameState.players[gameState.currentPlayerIndex];
+    game.autoPlayTimer = setTimeout(async () => {
+      game.autoPlayTimer = null;
+      try {
+        await this.processGameAction(game.roomCode, player.id, {
+          type: 'playCard',
+          card: player.hand[0],
+          auto: true
+        }, { automatic: true });
+      } catch (error) {
+        console.error(`Blind play error in room ${game.roomCode}:`, error);
+      }
+    }, BLIND_PLAY_DELAY);
+  }
+
+  isSealedBidding(gameState) {
+    return gameState.phase === 'bidding' && gameState.rules.biddingMode === 'sealed';
+  }
+
+  // Identifies whose move the timer is running for; sealed bidding shares one timer
+  getTurnKey(gameState) {
+    if (this.isSealedBidding(gameState)) {
+      return `${gameState.currentRound}:bidding:all`;
+    }
+
+    const playerId = gameState.players[gameState.currentPlayerIndex].id;
+    return `${gameState.currentRound}:${gameState.phase}:${gameState.trickNumber}:${playerId}`;
+  }
+
+  startTurnTimer(game) {
+    const { gameState } = game;
+    const duration = gameState.rules.turnTimer;
+    const isTimedPhase = gameState.phase === 'bidding' ||
+      (gameState.phase === 'playing' && !isBlindRound(gameState));
+
+    // Bots answer quickly enough on their own turns
+    const isBotTurn = !this.isSealedBidding(gameState) && this.getBotToAct(gameState);
+
+    if (!duration || !isTimedPhase || isBotTurn) {
+      this.clearTurnTimer(game);
+      return;
+    }
+
+    const key = this.getTurnKey(gameState);
+    if (game.turnTimer && game.turnTimer.key === key) {
+      return;
+    }
+
+    this.clearTurnTimer(game);
+
+    game.turnTimer = {
+      key,
+      playerId: this.isSealedBidding(gameState) ? null : gameState.players[gameState.currentPlayerIndex].id,
+      duration,
+      remaining: duration,
+      interval: null
+    };
+
+    this.runTurnTimer(game);
+  }
+
+  runTurnTimer(game) {
+    const timer = game.turnTimer;
+    const warningAt = Math.min(TURN_WARNING_SECONDS, Math.floor(timer.duration / 2));
+    const emitTick = () => this.emit('turnTimer', {
+      roomCode: game.roomCode,
+      playerId: timer.playerId,
+      remaining: timer.remaining,
+      duration: timer.duration
+    });
+
+    emitTick();
+    timer.interval = setInterval(() => {
+      timer.remaining--;
+
+      if (timer.remaining <= 0) {
+        this.clearTurnTimer(game);
+        this.handleTurnTimeout(game);
+        return;
+      }
+
+      emitTick();
+      if (timer.remaining === warningAt) {
+        this.emit('turnWarning', { roomCode: game.roomCode, playerId: timer.playerId, remaining: timer.remaining });
+      }
+    }, 1000);
+  }
+
+  clearTurnTimer(game) {
+    if (game.turnTimer) {
+      clearInterval(game.turnTimer.interval);
+      game.turnTimer = null;
+    }
+  }
+
+  async handleTurnTimeout(game) {
+    const { gameState, roomCode } = game;
+
+    // In sealed bidding everyone still to bid has run out of time together
+    const stalledPlayers = gameState.phase === 'bidding'
+      ? gameState.players.filter(p => !p.hasBid && (
+        gameState.rules.biddingMode === 'sealed' || p === gameState.players[gameState.currentPlayerIndex]
+      ))
+      : [gameState.players[gameState.currentPlayerIndex]];
+
+    for (const player of stalledPlayers) {
+      const action = game.gameState.phase === 'bidding'
+        ? { type: 'placeBid', bid: this.chooseBidFor(player, game.gameState, gameState.rules.timeoutBidStrategy) }
+        : { type: 'playCard', card: chooseLowestCard(player.hand, game.gameState) };
+
+      console.log(`⏰ Turn timed out for ${player.name} in room ${roomCode}`);
+      this.emit('turnTimeout', { roomCode, playerId: player.id, action });
+
+      try {
+        await this.processGameAction(roomCode, player.id, { ...action, auto: true }, { automatic: true, timedOut: true });
+      } catch (error) {
+        console.error(`Timeout action error in room ${roomCode}:`, error);
+      }
+    }
+  }
+
   async processBid(game, playerId, bid) {
     const gameState = { ...game.gameState };
     
@@ -200,28 +666,66 @@ export class GameManager extends EventEmitter {
       throw new Error('Player not found');
     }
 
-    if (player.bid !== null) {
+    if (player.hasBid) {
       throw new Error('Player has already bid');
     }
 
-    if (bid < 0 || bid > gameState.cardsPerRound) {
+    const isSealed = gameState.rules.biddingMode === 'sealed';
+
+    // Sealed bids are placed simultaneously, open bids go round the table
+    if (!isSealed && gameState.players[gameState.currentPlayerIndex].id !== playerId) {
+      throw new Error('Not your turn');
+    }
+
+    if (!Number.isInteger(bid) || bid < 0 || bid > gameState.cardsPerRound) {
       throw new Error('Invalid bid amount');
     }
 
-    // Set player's bid
-    player.bid = bid;
+    if (bid === getForbiddenBid(gameState)) {
+      throw new Error(`Bid of ${bid} not allowed: total bids cannot equal the number of cards dealt (${gameState.cardsPerRound})`);
+    }
+
+    // Sealed bids are held outside the game state so no broadcast can reveal them early
+    if (isSealed) {
+      game.sealedBids[playerId] = bid;
+    } else {
+      player.bid = bid;
+    }
+    player.hasBid = true;
 
     // Check if all players have bid
-    const allBidsPlaced = gameState.players.every(p => p.bid !== null);
+    const allBidsPlaced = gameState.players.every(p => p.hasBid);
     
     if (allBidsPlaced) {
+      if (isSealed) {
+        this.revealSealedBids(game, gameState);
+      }
+
       gameState.phase = 'playing';
-      gameState.currentPlayerIndex = 0; // Start with first player
+      gameState.currentPlayerIndex = this.getSeatLeftOfDealer(gameState);
+    } else if (!isSealed) {
+      gameState.currentPlayerIndex = (gameState.currentPlayerIndex + 1) % gameState.players.length;
     }
 
     return gameState;
   }
 
+  revealSealedBids(game, gameState) {
+    gameState.players.forEach(player => {
+      player.bid = game.sealedBids[player.id];
+    });
+    game.sealedBids = {};
+
+    if (game.replaying) {
+      return;
+    }
+
+    this.emit('bidsRevealed', {
+      roomCode: game.roomCode,
+      bids: gameState.players.map(p => ({ playerId: p.id, bid: p.bid }))
+    });
+  }
+
   async processCardPlay(game, playerId, card) {
     const gameState = { ...game.gameState };
     
@@ -243,9 +747,18 @@ export class GameManager extends EventEmitter {
       throw new Error('Card not in hand');
     }
 
+    const violation = getPlayViolation(card, currentPlayer.hand, gameState);
+    if (violation) {
+      throw new Error(violation);
+    }
+
     // Remove card from hand
     currentPlayer.hand.splice(cardIndex, 1);
 
+    if (card.suit === gameState.trumpSuit) {
+      gameState.trumpBroken = true;
+    }
+
     // Add to current trick
     gameState.currentTrick.push(card);
     gameState.currentTrickPlayers.push(playerId);
@@ -262,12 +775,25 @@ export class GameManager extends EventEmitter {
         gameState.currentTrick,
         gameState.currentTrickPlayers,
         gameState.trumpSuit,
-        gameState.leadSuit
+        gameState.leadSuit,
+        gameState.rules.rankOrder
       );
 
       const winnerIndex = gameState.players.findIndex(p => p.id === winnerId);
       gameState.players[winnerIndex].actualWins++;
       gameState.trickWinner = winnerId;
+      gameState.trickNumber++;
+
+      // Keep the completed trick so clients can show it after the table is cleared
+      gameState.lastTrick = {
+        trickNumber: gameState.trickNumber,
+        cards: gameState.currentTrick.map((trickCard, index) => ({
+          playerId: gameState.currentTrickPlayers[index],
+          card: trickCard
+        })),
+        leadSuit: gameState.leadSuit,
+        winnerId
+      };
 
       // Check if round is complete
       if (gameState.players[0].hand.length === 0) {
@@ -289,7 +815,7 @@ export class GameManager extends EventEmitter {
     return gameState;
   }
 
-  async processNextRound(game) {
+  async processNextRound(game, seed = generateSeed()) {
     const gameState = { ...game.gameState };
     
     if (gameState.phase !== 'roundEnd') {
@@ -297,23 +823,35 @@ export class GameManager extends EventEmitter {
     }
 
     // Save round history
-    const roundHistory = gameState.players.map(player => ({
-      round: gameState.currentRound,
-      cardsInRound: gameState.cardsPerRound,
-      bid: player.bid || 0,
-      actualWins: player.actualWins,
-      roundScore: this.calculateScore(player.bid || 0, player.actualWins)
-    }));
+    const roundHistory = gameState.players.map(player => {
+      const { score, breakdown } = this.calculateScore(
+        player.bid || 0,
+        player.actualWins,
+        gameState.cardsPerRound,
+        gameState.rules.scoringPreset
+      );
+
+      return {
+        playerId: player.id,
+        round: gameState.currentRound,
+        cardsInRound: gameState.cardsPerRound,
+        bid: player.bid || 0,
+        actualWins: player.actualWins,
+        roundScore: score,
+        scoreBreakdown: breakdown,
+        timeouts: player.timeouts
+      };
+    });
 
     gameState.roundHistory.push(roundHistory);
 
-    // Move to next round
+    // Move to next round and pass the deal to the left
     gameState.currentRound++;
+    gameState.dealer = (gameState.dealer + 1) % gameState.players.length;
 
     if (gameState.currentRound >= gameState.totalRounds) {
-      // Game complete
+      // Game complete; processGameAction wraps it up
       gameState.phase = 'gameEnd';
-      await this.endGame(game.roomCode, gameState);
     } else {
       // Setup next round
       gameState.cardsPerRound = gameState.roundSequence[gameState.currentRound];
@@ -323,38 +861,89 @@ export class GameManager extends EventEmitter {
       gameState.players.forEach(player => {
         player.hand = [];
         player.bid = null;
+        player.hasBid = false;
         player.actualWins = 0;
+        player.timeouts = 0;
       });
 
-      // Deal new cards (this would be implemented based on your card logic)
-      await this.dealCards(gameState);
-      gameState.phase = 'bidding';
+      // Clear the table from the last trick
+      gameState.currentTrick = [];
+      gameState.currentTrickPlayers = [];
+      gameState.leadSuit = null;
+      gameState.trickWinner = null;
+      gameState.trickNumber = 0;
+      gameState.lastTrick = null;
+      gameState.trumpBroken = false;
+
+      await this.dealCards(gameState, seed);
     }
 
     return gameState;
   }
 
+  getLegalCardsForCurrentPlayer(gameState) {
+    if (gameState.phase !== 'playing') {
+      return [];
+    }
+
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    return getLegalCards(currentPlayer.hand, gameState);
+  }
+
   calculateRoundScores(gameState) {
     gameState.players.forEach(player => {
-      const roundScore = this.calculateScore(player.bid || 0, player.actualWins);
-      player.totalScore += roundScore;
+      const { score } = this.calculateScore(
+        player.bid || 0,
+        player.actualWins,
+        gameState.cardsPerRound,
+        gameState.rules.scoringPreset
+      );
+      player.totalScore += score;
     });
   }
 
-  calculateScore(bid, actualWins) {
-    return bid === actualWins ? 10 + actualWins : 0;
+  calculateScore(bid, actualWins, cardsInRound, scoringPreset = DEFAULT_SCORING_PRESET) {
+    return scoreRound(scoringPreset, bid, actualWins, cardsInRound);
   }
 
-  findTrickWinner(trick, players, trumpSuit, leadSuit) {
-    // This would implement your card comparison logic
-    // For now, return first player as placeholder
-    return players[0];
+  findTrickWinner(trick, players, trumpSuit, leadSuit, rankOrder = 'aceHigh') {
+    let winningIndex = 0;
+
+    for (let i = 1; i < trick.length; i++) {
+      if (beatsCard(trick[i], trick[winningIndex], trumpSuit, rankOrder)) {
+        winningIndex = i;
+      }
+    }
+
+    return players[winningIndex];
   }
 
-  async dealCards(gameState) {
-    // This would implement your card dealing logic
-    // For now, just set phase to bidding
+  async dealCards(gameState, seed = generateSeed()) {
+    const playerCount = gameState.players.length;
+    if (!hasEnoughCards(playerCount, gameState.cardsPerRound)) {
+      throw new Error('Not enough cards for this many players and game length');
+    }
+
+    const deck = shuffleDeck(createDeck(), createSeededRandom(seed));
+
+    // Deal one card at a time, starting with the player to the dealer's left
+    for (let i = 0; i < gameState.cardsPerRound * playerCount; i++) {
+      const seat = (gameState.dealer + 1 + i) % playerCount;
+      gameState.players[seat].hand.push(deck.shift());
+    }
+
+    // Turn up the next card for trump; if every card was dealt the round has no trump
+    gameState.trumpCard = deck.length > 0 ? deck.shift() : null;
+    gameState.trumpSuit = gameState.trumpCard ? gameState.trumpCard.suit : null;
+    gameState.deck = deck;
+
+    // Bidding opens with the player to the dealer's left
     gameState.phase = 'bidding';
+    gameState.currentPlayerIndex = this.getSeatLeftOfDealer(gameState);
+  }
+
+  getSeatLeftOfDealer(gameState) {
+    return (gameState.dealer + 1) % gameState.players.length;
   }
 
   handlePlayerDisconnection(roomCode, playerId) {
@@ -366,46 +955,234 @@ export class GameManager extends EventEmitter {
     const player = game.gameState.players.find(p => p.id === playerId);
     if (player) {
       player.isConnected = false;
+      this.recordLogEntry(game, { type: 'connection', playerId, isConnected: false, timestamp: Date.now() });
       
       // Emit player disconnection
       this.emit('playerDisconnected', { roomCode, playerId, gameState: game.gameState });
       
       // Check if game should be paused or ended
-      const connectedPlayers = game.gameState.players.filter(p => p.isConnected);
-      if (connectedPlayers.length < 2) {
-        console.log(`⏸️ Game paused in room ${roomCode} - insufficient connected players`);
-        this.emit('gamePaused', { roomCode, reason: 'insufficient_players' });
+      if (this.getConnectedPlayerCount(game) < 2 && !game.gameState.isPaused) {
+        this.pauseGame(roomCode, 'insufficient_players');
+      }
+      this.scheduleRoundAdvance(game);
+
+      // Let the server play for the seat if the player doesn't come back in time
+      const grace = game.gameState.rules.autopilotGrace;
+      if (grace && player.isHuman && !player.autopilot && !game.autopilotTimers[playerId]) {
+        game.autopilotTimers[playerId] = setTimeout(() => {
+          delete game.autopilotTimers[playerId];
+          this.engageAutopilot(game, player);
+        }, grace * 1000);
       }
     }
   }
 
+  handlePlayerReconnection(roomCode, playerId) {
+    const game = this.activeGames.get(roomCode);
+    if (!game) {
+      return;
+    }
+
+    const player = game.gameState.players.find(p => p.id === playerId);
+    if (!player) {
+      return;
+    }
+
+    player.isConnected = true;
+    this.recordLogEntry(game, { type: 'connection', playerId, isConnected: true, timestamp: Date.now() });
+    clearTimeout(game.autopilotTimers[playerId]);
+    delete game.autopilotTimers[playerId];
+
+    // Only automatic pauses resume on their own; a host pause waits for the host
+    const { gameState } = game;
+    if (gameState.isPaused && gameState.pauseReason === 'insufficient_players' &&
+        this.getConnectedPlayerCount(game) >= 2) {
+      this.resumeGame(roomCode, 'players_reconnected');
+    }
+
+    if (player.autopilot) {
+      player.autopilot = false;
+      this.recordLogEntry(game, { type: 'autopilot', playerId, enabled: false, timestamp: Date.now() });
+
+      console.log(`🎮 ${player.name} took back control in room ${roomCode}`);
+      this.emit('autopilotReleased', { roomCode, playerId, gameState: game.gameState });
+
+      // Restart the turn timer if it is now this player's move
+      this.scheduleNextTurn(game);
+    }
+  }
+
+  // Seats the autopilot plays for count, since the game can go on without their players
+  getConnectedPlayerCount(game) {
+    return game.gameState.players.filter(p => p.isConnected || p.autopilot).length;
+  }
+
+  pauseGame(roomCode, reason, initiatedBy = null) {
+    const game = this.activeGames.get(roomCode);
+    if (!game) {
+      throw new Error('No active game found');
+    }
+
+    const { gameState } = game;
+    if (gameState.isPaused) {
+      throw new Error('Game is already paused');
+    }
+
+    gameState.isPaused = true;
+    gameState.pauseReason = reason;
+    gameState.pausedBy = initiatedBy;
+    this.recordLogEntry(game, { type: 'pause', reason, initiatedBy, timestamp: Date.now() });
+
+    // Freeze the turn timer where it is and drop any pending automatic moves
+    if (game.turnTimer) {
+      clearInterval(game.turnTimer.interval);
+      game.turnTimer.interval = null;
+    }
+    clearTimeout(game.autoPlayTimer);
+    clearTimeout(game.botTimer);
+    game.autoPlayTimer = null;
+    game.botTimer = null;
+
+    this.roomManager.updateGameState(roomCode, gameState);
+
+    console.log(`⏸️ Game paused in room ${roomCode} - ${reason}`);
+    this.emit('gamePaused', { roomCode, reason, initiatedBy, gameState });
+
+    return gameState;
+  }
+
+  resumeGame(roomCode, reason, initiatedBy = null) {
+    const game = this.activeGames.get(roomCode);
+    if (!game) {
+      throw new Error('No active game found');
+    }
+
+    const { gameState } = game;
+    if (!gameState.isPaused) {
+      throw new Error('Game is not paused');
+    }
+
+    if (this.getConnectedPlayerCount(game) < 2) {
+      throw new Error('Not enough connected players to resume');
+    }
+
+    gameState.isPaused = false;
+    gameState.pauseReason = null;
+    gameState.pausedBy = null;
+    this.recordLogEntry(game, { type: 'resume', reason, initiatedBy, timestamp: Date.now() });
+
+    this.roomManager.updateGameState(roomCode, gameState);
+
+    console.log(`▶️ Game resumed in room ${roomCode} - ${reason}`);
+    this.emit('gameResumed', { roomCode, reason, initiatedBy, gameState });
+
+    // Pick the frozen timer back up with the time that was left
+    if (game.turnTimer && !game.turnTimer.interval) {
+      this.runTurnTimer(game);
+    }
+    this.scheduleNextTurn(game);
+
+    return gameState;
+  }
+
+  pauseGameByHost(roomCode, hostId) {
+    this.verifyHost(roomCode, hostId, 'Only the host can pause the game');
+    return this.pauseGame(roomCode, 'host_paused', hostId);
+  }
+
+  resumeGameByHost(roomCode, hostId) {
+    this.verifyHost(roomCode, hostId, 'Only the host can resume the game');
+    return this.resumeGame(roomCode, 'host_resumed', hostId);
+  }
+
+  verifyHost(roomCode, playerId, message) {
+    const room = this.roomManager.getRoom(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (room.hostId !== playerId) {
+      throw new Error(message);
+    }
+  }
+
+  engageAutopilot(game, player) {
+    if (!this.activeGames.has(game.roomCode) || player.isConnected) {
+      return;
+    }
+
+    player.autopilot = true;
+    this.recordLogEntry(game, { type: 'autopilot', playerId: player.id, enabled: true, timestamp: Date.now() });
+
+    console.log(`🤖 Autopilot playing for ${player.name} in room ${game.roomCode}`);
+    this.emit('autopilotEngaged', { roomCode: game.roomCode, playerId: player.id, gameState: game.gameState });
+
+    const { gameState } = game;
+    if (gameState.isPaused && gameState.pauseReason === 'insufficient_players' &&
+        this.getConnectedPlayerCount(game) >= 2) {
+      this.resumeGame(game.roomCode, 'autopilot_engaged');
+    } else {
+      this.scheduleNextTurn(game);
+    }
+  }
+
   async endGame(roomCode, gameState) {
     const game = this.activeGames.get(roomCode);
     if (!game) {
       return;
     }
 
-    // Calculate final results
+    const room = this.roomManager.getRoom(roomCode);
+    const rated = Boolean(room && room.settings.rated);
+
+    // Calculate final results, best first
+    const standings = computeStandings(
+      gameState.players,
+      gameState.roundHistory,
+      gameState.rules.tiebreakers || DEFAULT_TIEBREAKERS
+    );
     const results = {
-      winner: this.determineWinner(gameState),
-      finalScores: gameState.players.map(p => ({
-        id: p.id,
-        name: p.name,
-        score: p.totalScore
-      })),
+      winners: standings
+        .filter(entry => entry.position === 1)
+        .map(({ id, name, score }) => ({ id, name, score })),
+      finalScores: standings.map(({ id, name, score, position }) => ({ id, name, score, position })),
+      standings,
+      tiebreakers: gameState.rules.tiebreakers || DEFAULT_TIEBREAKERS,
+      rated,
+      ratingChanges: {},
+      scoringPreset: {
+        id: gameState.rules.scoringPreset,
+        name: SCORING_PRESETS[gameState.rules.scoringPreset].name
+      },
       gameStats: {
         totalRounds: gameState.totalRounds,
         duration: Date.now() - game.startedAt
       }
     };
 
-    // Update player stats
-    gameState.players.forEach(player => {
+    // Add the game to each human's lifetime stats; every co-winner is credited with a win
+    await Promise.all(gameState.players.filter(player => player.isHuman).map(player =>
       this.playerManager.updatePlayerStats(player.id, {
         score: player.totalScore,
-        won: player.id === results.winner.id
-      });
-    });
+        won: results.winners.some(winner => winner.id === player.id),
+        rounds: gameState.roundHistory.map(round => round.find(entry => entry.playerId === player.id))
+      }).catch(error => console.error(`❌ Failed to update stats for player ${player.id}:`, error))
+    ));
+
+    if (rated) {
+      try {
+        results.ratingChanges = await this.playerManager.updateRatings(results.standings, {
+          roomCode,
+          language: gameState.language
+        });
+      } catch (error) {
+        console.error(`❌ Failed to update ratings for room ${roomCode}:`, error);
+      }
+    }
+
+    results.gameId = this.recordGame(game, gameState, room, results);
+
+    this.clearGameTimers(game);
 
     // End the game in room manager
     this.roomManager.endGame(roomCode, results);
@@ -413,16 +1190,89 @@ export class GameManager extends EventEmitter {
     // Remove from active games
     this.activeGames.delete(roomCode);
 
-    console.log(`🏁 Game ended in room ${roomCode}, winner: ${results.winner.name}`);
+    console.log(`🏁 Game ended in room ${roomCode}, won by ${results.winners.map(winner => winner.name).join(', ')}`);
     this.emit('gameEnded', { roomCode, results, gameState });
 
     return results;
   }
 
-  determineWinner(gameState) {
-    return gameState.players.reduce((winner, player) => 
-      player.totalScore > winner.totalScore ? player : winner
-    );
+  // Stores the finished game for match history
+  recordGame(game, gameState, room, results) {
+    const endedAt = Date.now();
+    const positions = new Map(results.standings.map(entry => [entry.id, entry.position]));
+
+    const record = {
+      id: `game_${endedAt}_${Math.random().toString(36).substr(2, 9)}`,
+      roomCode: game.roomCode,
+      rated: results.rated,
+      language: gameState.language,
+      settings: room ? { ...room.settings } : {},
+      players: gameState.players.map((player, seat) => ({
+        id: player.id,
+        name: player.name,
+        isBot: !player.isHuman,
+        seat,
+        finalScore: player.totalScore,
+        finalPosition: positions.get(player.id),
+        totalTimeouts: player.totalTimeouts,
+        ratingChange: results.ratingChanges[player.id] ? results.ratingChanges[player.id].change : null
+      })),
+      playerIds: gameState.players.filter(player => player.isHuman).map(player => player.id),
+      winnerIds: results.winners.map(winner => winner.id),
+      roundSequence: gameState.roundSequence,
+      roundHistory: gameState.roundHistory,
+      initialState: game.initialState,
+      actionLog: game.actionLog,
+      startedAt: game.startedAt,
+      endedAt,
+      duration: endedAt - game.startedAt
+    };
+
+    this.gameRecords.set(record.id, record);
+    return record.id;
+  }
+
+  // A player's finished games, newest first, without the round by round detail
+  async getPlayerMatches(playerId, { limit = 20, offset = 0 } = {}) {
+    const records = await this.gameRecords.query('playerIds', playerId, { sortPath: 'endedAt', limit, offset });
+
+    return records.map(record => {
+      const player = record.players.find(entry => entry.id === playerId);
+      return {
+        id: record.id,
+        roomCode: record.roomCode,
+        rated: record.rated,
+        language: record.language,
+        playerCount: record.players.length,
+        players: record.players.map(({ id, name, isBot, finalScore, finalPosition }) => ({
+          id, name, isBot, finalScore, finalPosition
+        })),
+        finalScore: player.finalScore,
+        finalPosition: player.finalPosition,
+        ratingChange: player.ratingChange,
+        won: record.winnerIds.includes(playerId),
+        startedAt: record.startedAt,
+        endedAt: record.endedAt,
+        duration: record.duration
+      };
+    });
+  }
+
+  // The full record minus the replay data, which is served step by step by getMatchReplay
+  async getMatch(gameId) {
+    const record = await this.gameRecords.fetch(gameId);
+    if (!record) {
+      throw new Error('Game record not found');
+    }
+    const { initialState, actionLog, ...match } = record;
+    return match;
+  }
+
+  clearGameTimers(game) {
+    clearTimeout(game.autoPlayTimer);
+    clearTimeout(game.botTimer);
+    Object.values(game.autopilotTimers).forEach(timer => clearTimeout(timer));
+    this.clearTurnTimer(game);
   }
 
   getActiveGame(roomCode) {
@@ -434,6 +1284,7 @@ export class GameManager extends EventEmitter {
   }
 
   cleanup() {
+    this.activeGames.forEach(game => this.clearGameTimers(game));
     this.activeGames.clear();
     console.log('🧹 GameManager cleaned up');
   }
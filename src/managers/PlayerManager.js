@@ -1,9 +1,16 @@
 import { EventEmitter } from 'events';
+import { MemoryRepository } from '../repositories/MemoryRepository.js';
+import { createSessionId, signSessionToken, verifySessionToken } from '../auth/sessionTokens.js';
+import { calculateRatingChanges, DEFAULT_RATING } from '../game/rating.js';
+
+const RATING_HISTORY_LIMIT = 500;
+const DISCONNECTED_PLAYER_TTL = 5 * 60 * 1000;
 
 export class PlayerManager extends EventEmitter {
-  constructor() {
+  constructor(players = new MemoryRepository(), profiles = new MemoryRepository()) {
     super();
-    this.players = new Map();
+    this.players = players;
+    this.profiles = profiles;
     this.socketToPlayer = new Map();
   }
 
@@ -15,15 +22,29 @@ export class PlayerManager extends EventEmitter {
       socketId: socketId,
       name: playerData.name || `Player ${this.players.size + 1}`,
       roomCode: null,
-      isConnected: true,
+      isConnected: Boolean(socketId),
       createdAt: Date.now(),
-      lastActivity: Date.now(),
+      lastActivity: Date.now()
+    };
+
+    this.profiles.set(playerId, {
+      id: playerId,
+      name: player.name,
+      sessionId: createSessionId(),
       stats: {
         gamesPlayed: 0,
         gamesWon: 0,
-        totalScore: 0
-      }
-    };
+        totalScore: 0,
+        roundsPlayed: 0,
+        exactBids: 0,
+        currentExactStreak: 0,
+        longestExactStreak: 0
+      },
+      ratings: {},
+      ratingHistory: [],
+      createdAt: Date.now(),
+      lastSeenAt: Date.now()
+    });
 
     this.players.set(playerId, player);
     this.socketToPlayer.set(socketId, playerId);
@@ -31,6 +52,78 @@ export class PlayerManager extends EventEmitter {
     console.log(`👤 Player ${player.name} (${playerId}) created`);
     this.emit('playerCreated', { player });
 
+    // Players made over REST have no socket yet; they are cleaned up like disconnected ones
+    if (!socketId) {
+      this.scheduleCleanup(playerId);
+    }
+
+    return player;
+  }
+
+  issueSessionToken(player) {
+    const profile = this.profiles.get(player.id);
+    if (!profile || !profile.sessionId) {
+      throw new Error('Session revoked');
+    }
+    return signSessionToken(player.id, profile.sessionId);
+  }
+
+  // Resolves a session token to its player; throws for bad, expired or revoked tokens.
+  // A returning player whose session record has expired gets it back from their profile.
+  async authenticateSession(token) {
+    const session = verifySessionToken(token);
+    // Read from storage: the session may have been revoked on another instance
+    const profile = await this.profiles.refresh(session.sub);
+
+    if (!profile || profile.sessionId !== session.sid) {
+      throw new Error('Session revoked');
+    }
+
+    const player = await this.findPlayer(session.sub) || this.restorePlayer(profile);
+
+    profile.lastSeenAt = Date.now();
+    this.profiles.save(profile.id, ['lastSeenAt']);
+
+    return { player, session };
+  }
+
+  restorePlayer(profile) {
+    const player = {
+      id: profile.id,
+      socketId: null,
+      name: profile.name,
+      roomCode: null,
+      isConnected: false,
+      createdAt: Date.now(),
+      lastActivity: Date.now()
+    };
+
+    this.players.set(player.id, player);
+    this.scheduleCleanup(player.id);
+
+    console.log(`👤 Player ${player.name} (${player.id}) returned`);
+    return player;
+  }
+
+  isSessionActive(player, session) {
+    const profile = this.profiles.get(player.id);
+    return Boolean(session && profile) && profile.sessionId === session.sid && session.exp * 1000 > Date.now();
+  }
+
+  // Invalidates every token issued to the player
+  revokeSession(playerId) {
+    const player = this.players.get(playerId);
+    const profile = this.profiles.get(playerId);
+    if (!player || !profile) {
+      throw new Error('Player not found');
+    }
+
+    profile.sessionId = null;
+    this.profiles.save(playerId, ['sessionId']);
+
+    console.log(`🔒 Session revoked for player ${player.name}`);
+    this.emit('sessionRevoked', { player });
+
     return player;
   }
 
@@ -38,10 +131,21 @@ export class PlayerManager extends EventEmitter {
     return `player_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
+  // Marks the player as active and stores the change
+  touchPlayer(player) {
+    player.lastActivity = Date.now();
+    this.players.save(player.id);
+  }
+
   getPlayer(playerId) {
     return this.players.get(playerId);
   }
 
+  // Also finds players stored by another server instance
+  async findPlayer(playerId) {
+    return this.players.fetch(playerId);
+  }
+
   getPlayerBySocket(socketId) {
     const playerId = this.socketToPlayer.get(socketId);
     return playerId ? this.players.get(playerId) : null;
@@ -54,7 +158,7 @@ export class PlayerManager extends EventEmitter {
     }
 
     Object.assign(player, updates);
-    player.lastActivity = Date.now();
+    this.touchPlayer(player);
 
     this.emit('playerUpdated', { player, updates });
     return player;
@@ -74,7 +178,7 @@ export class PlayerManager extends EventEmitter {
     // Update player and create new mapping
     player.socketId = newSocketId;
     player.isConnected = true;
-    player.lastActivity = Date.now();
+    this.touchPlayer(player);
     this.socketToPlayer.set(newSocketId, playerId);
 
     console.log(`🔌 Player ${player.name} socket updated`);
@@ -90,7 +194,7 @@ export class PlayerManager extends EventEmitter {
     }
 
     player.roomCode = roomCode;
-    player.lastActivity = Date.now();
+    this.touchPlayer(player);
 
     this.emit('playerRoomChanged', { player, roomCode });
     return player;
@@ -108,20 +212,32 @@ export class PlayerManager extends EventEmitter {
     }
 
     player.isConnected = false;
-    player.lastActivity = Date.now();
+    this.touchPlayer(player);
     this.socketToPlayer.delete(socketId);
 
     console.log(`👋 Player ${player.name} disconnected`);
     this.emit('playerDisconnected', { player });
 
-    // Schedule player cleanup after 5 minutes of disconnection
+    this.scheduleCleanup(playerId);
+
+    return player;
+  }
+
+  // Removes the player after 5 minutes of disconnection; a player still seated in a room is kept
+  // so their session brings them back to their seat
+  scheduleCleanup(playerId) {
     setTimeout(() => {
-      if (!player.isConnected) {
-        this.removePlayer(playerId);
+      const player = this.players.get(playerId);
+      if (!player || player.isConnected) {
+        return;
       }
-    }, 5 * 60 * 1000);
 
-    return player;
+      if (player.roomCode) {
+        this.scheduleCleanup(playerId);
+      } else {
+        this.removePlayer(playerId);
+      }
+    }, DISCONNECTED_PLAYER_TTL);
   }
 
   removePlayer(playerId) {
@@ -131,6 +247,7 @@ export class PlayerManager extends EventEmitter {
     }
 
     this.players.delete(playerId);
+    this.profiles.evict(playerId);
     if (player.socketId) {
       this.socketToPlayer.delete(player.socketId);
     }
@@ -141,23 +258,174 @@ export class PlayerManager extends EventEmitter {
     return true;
   }
 
-  updatePlayerStats(playerId, gameResult) {
-    const player = this.players.get(playerId);
-    if (!player) {
+  // Also finds profiles of players who aren't online
+  async getProfile(playerId) {
+    const profile = await this.profiles.fetch(playerId);
+
+    // Only players who are around keep their profile in memory
+    if (!this.players.has(playerId)) {
+      this.profiles.evict(playerId);
+    }
+    return profile;
+  }
+
+  // gameResult: { score, won, rounds: [{ bid, actualWins }] } with rounds in the order they were played
+  async updatePlayerStats(playerId, gameResult) {
+    // Read fresh: the player may have finished a game on another instance since this one cached them
+    const profile = await this.profiles.refresh(playerId);
+    if (!profile) {
       throw new Error('Player not found');
     }
 
-    player.stats.gamesPlayed++;
-    player.stats.totalScore += gameResult.score || 0;
-    
+    const { stats } = profile;
+    stats.gamesPlayed++;
+    stats.totalScore += gameResult.score || 0;
+
     if (gameResult.won) {
-      player.stats.gamesWon++;
+      stats.gamesWon++;
     }
 
-    player.lastActivity = Date.now();
+    // The exact-bid streak carries over from one game to the next
+    (gameResult.rounds || []).forEach(({ bid, actualWins }) => {
+      stats.roundsPlayed++;
 
-    this.emit('playerStatsUpdated', { player, gameResult });
-    return player;
+      if (bid === actualWins) {
+        stats.exactBids++;
+        stats.currentExactStreak++;
+        stats.longestExactStreak = Math.max(stats.longestExactStreak, stats.currentExactStreak);
+      } else {
+        stats.currentExactStreak = 0;
+      }
+    });
+
+    this.profiles.save(playerId, ['stats']);
+
+    this.emit('playerStatsUpdated', { profile, gameResult });
+    return profile;
+  }
+
+  // Rates a finished game from its standings ([{ id, isHuman, position }]). Only humans are rated;
+  // each gets an overall rating and one for the language the game was played in.
+  async updateRatings(standings, { roomCode, language }) {
+    const rated = [];
+    for (const entry of standings.filter(entry => entry.isHuman)) {
+      const profile = await this.profiles.refresh(entry.id);
+      if (profile) {
+        rated.push({ ...entry, profile });
+      }
+    }
+
+    if (rated.length < 2) {
+      return {};
+    }
+
+    const ratingOf = category => category ? category.rating : DEFAULT_RATING;
+    const overallChanges = calculateRatingChanges(rated.map(({ id, position, profile }) => ({
+      id, position, rating: ratingOf(profile.ratings.overall)
+    })));
+    const languageChanges = calculateRatingChanges(rated.map(({ id, position, profile }) => ({
+      id, position, rating: ratingOf(profile.ratings.languages?.[language])
+    })));
+
+    const applyChange = (category, change) => {
+      const rating = ratingOf(category) + change;
+      return {
+        rating,
+        games: (category ? category.games : 0) + 1,
+        peak: Math.max(category ? category.peak : DEFAULT_RATING, rating)
+      };
+    };
+
+    const results = {};
+    rated.forEach(({ id, position, profile }) => {
+      const { ratings } = profile;
+      ratings.overall = applyChange(ratings.overall, overallChanges[id]);
+      ratings.languages = {
+        ...ratings.languages,
+        [language]: applyChange(ratings.languages?.[language], languageChanges[id])
+      };
+
+      const result = {
+        rating: ratings.overall.rating,
+        change: overallChanges[id],
+        languageRating: ratings.languages[language].rating,
+        languageChange: languageChanges[id]
+      };
+
+      profile.ratingHistory.push({
+        ...result,
+        roomCode,
+        language,
+        position,
+        playerCount: rated.length,
+        playedAt: Date.now()
+      });
+      profile.ratingHistory = profile.ratingHistory.slice(-RATING_HISTORY_LIMIT);
+
+      this.profiles.save(id, ['ratings', 'ratingHistory']);
+      results[id] = result;
+    });
+
+    this.emit('ratingsUpdated', { roomCode, language, results });
+    return results;
+  }
+
+  // Rated players, highest first; overall unless a language is given
+  async getLeaderboard({ language = null, limit = 50, offset = 0 } = {}) {
+    const path = language ? `ratings.languages.${language}.rating` : 'ratings.overall.rating';
+    const profiles = await this.profiles.rank(path, { limit, offset });
+
+    return profiles.map((profile, index) => {
+      const category = language ? profile.ratings.languages[language] : profile.ratings.overall;
+      return {
+        position: offset + index + 1,
+        id: profile.id,
+        name: profile.name,
+        rating: category.rating,
+        peak: category.peak,
+        games: category.games
+      };
+    });
+  }
+
+  summarizeStats(stats) {
+    return {
+      gamesPlayed: stats.gamesPlayed,
+      gamesWon: stats.gamesWon,
+      totalScore: stats.totalScore,
+      averageScore: stats.gamesPlayed ? Math.round(stats.totalScore / stats.gamesPlayed * 10) / 10 : 0,
+      roundsPlayed: stats.roundsPlayed,
+      exactBids: stats.exactBids,
+      bidAccuracy: stats.roundsPlayed ? Math.round(stats.exactBids / stats.roundsPlayed * 1000) / 1000 : 0,
+      currentExactStreak: stats.currentExactStreak,
+      longestExactStreak: stats.longestExactStreak
+    };
+  }
+
+  // Public player payload; never includes session or socket details
+  serializePlayer(player) {
+    const profile = this.profiles.get(player.id);
+    return {
+      id: player.id,
+      name: player.name,
+      roomCode: player.roomCode,
+      isConnected: player.isConnected,
+      stats: profile ? this.summarizeStats(profile.stats) : null
+    };
+  }
+
+  serializeProfile(profile) {
+    const player = this.players.get(profile.id);
+    return {
+      id: profile.id,
+      name: profile.name,
+      roomCode: player ? player.roomCode : null,
+      isConnected: Boolean(player && player.isConnected),
+      createdAt: profile.createdAt,
+      lastSeenAt: profile.lastSeenAt,
+      stats: this.summarizeStats(profile.stats),
+      ratings: profile.ratings
+    };
   }
 
   getPlayerCount() {
@@ -174,6 +442,7 @@ export class PlayerManager extends EventEmitter {
 
   cleanup() {
     this.players.clear();
+    this.profiles.clear();
     this.socketToPlayer.clear();
     console.log('🧹 PlayerManager cleaned up');
   }
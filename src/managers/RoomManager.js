@@ -1,10 +1,26 @@
 import { EventEmitter } from 'events';
+import { hasEnoughCards, RANK_ORDERS } from '../game/cards.js';
+import { isScoringPreset } from '../game/scoring.js';
+import { getMaxCardsPerRound } from '../game/rounds.js';
+import { DEFAULT_TIEBREAKERS, isTiebreakerList } from '../game/standings.js';
+import { MemoryRepository } from '../repositories/MemoryRepository.js';
+
+const LANGUAGES = ['en', 'pt'];
+const FLAG_SETTINGS = [
+  'autoStart',
+  'mustTrumpIfVoid',
+  'noLeadTrumpUntilBroken',
+  'hookRule',
+  'blindOneCard',
+  'allowSpectators',
+  'rated',
+  'seriesScoreboard'
+];
 
 export class RoomManager extends EventEmitter {
-  constructor() {
+  constructor(rooms = new MemoryRepository()) {
     super();
-    this.rooms = new Map();
-    this.roomCodes = new Set();
+    this.rooms = rooms;
     this.cleanupInterval = setInterval(() => this.cleanupInactiveRooms(), 60000); // Check every minute
   }
 
@@ -20,7 +36,7 @@ export class RoomManager extends EventEmitter {
         code += chars.charAt(Math.floor(Math.random() * chars.length));
       }
       attempts++;
-    } while (this.roomCodes.has(code) && attempts < maxAttempts);
+    } while (this.rooms.has(code) && attempts < maxAttempts);
 
     if (attempts >= maxAttempts) {
       throw new Error('Unable to generate unique room code');
@@ -29,26 +45,106 @@ export class RoomManager extends EventEmitter {
     return code;
   }
 
-  createRoom(hostPlayerId, options = {}) {
-    const roomCode = this.generateRoomCode();
+  // Throws if any of the room options is invalid
+  validateSettings(options) {
+    if (FLAG_SETTINGS.some(key => options[key] !== undefined && typeof options[key] !== 'boolean')) {
+      throw new Error('Invalid on/off setting');
+    }
+
+    if (options.maxPlayers !== undefined && (!Number.isInteger(options.maxPlayers) || options.maxPlayers < 2 || options.maxPlayers > 10)) {
+      throw new Error('Invalid player limit');
+    }
+
+    if (options.language && !LANGUAGES.includes(options.language)) {
+      throw new Error('Invalid language');
+    }
+
+    if (options.rankOrder && !RANK_ORDERS[options.rankOrder]) {
+      throw new Error('Invalid rank order');
+    }
+
+    if (options.biddingMode && !['open', 'sealed'].includes(options.biddingMode)) {
+      throw new Error('Invalid bidding mode');
+    }
+
+    if (options.hookRule && options.biddingMode === 'sealed') {
+      throw new Error('Hook rule requires open bidding');
+    }
+
+    if (options.scoringPreset && !isScoringPreset(options.scoringPreset)) {
+      throw new Error('Invalid scoring preset');
+    }
+
+    if (options.tiebreakers !== undefined && !isTiebreakerList(options.tiebreakers)) {
+      throw new Error('Invalid tiebreakers');
+    }
+
+    if (options.turnTimer && (!Number.isInteger(options.turnTimer) || options.turnTimer < 5 || options.turnTimer > 600)) {
+      throw new Error('Invalid turn timer');
+    }
+
+    if (options.timeoutBidStrategy && !['zero', 'heuristic'].includes(options.timeoutBidStrategy)) {
+      throw new Error('Invalid timeout bid strategy');
+    }
+
+    if (options.maxSpectators !== undefined && (!Number.isInteger(options.maxSpectators) || options.maxSpectators < 0 || options.maxSpectators > 50)) {
+      throw new Error('Invalid spectator limit');
+    }
+
+    if (options.autopilotGrace && (!Number.isInteger(options.autopilotGrace) || options.autopilotGrace < 0 || options.autopilotGrace > 600)) {
+      throw new Error('Invalid autopilot grace period');
+    }
+
+    // Throws if the shape, game length or custom rounds are invalid
+    getMaxCardsPerRound(this.buildSettings(options));
+  }
+
+  buildSettings(options) {
+    return {
+      gameLength: options.gameLength || 10,
+      roundShape: options.roundShape || 'downUp',
+      customRounds: options.roundShape === 'custom' ? options.customRounds : [],
+      language: options.language || 'en',
+      autoStart: options.autoStart || false,
+      rankOrder: options.rankOrder || 'aceHigh',
+      mustTrumpIfVoid: options.mustTrumpIfVoid || false,
+      noLeadTrumpUntilBroken: options.noLeadTrumpUntilBroken || false,
+      hookRule: options.hookRule || false,
+      biddingMode: options.biddingMode || 'open',
+      scoringPreset: options.scoringPreset || 'classic',
+      tiebreakers: options.tiebreakers || DEFAULT_TIEBREAKERS,
+      blindOneCard: options.blindOneCard || false,
+      turnTimer: options.turnTimer || 0,
+      timeoutBidStrategy: options.timeoutBidStrategy || 'zero',
+      autopilotGrace: options.autopilotGrace || 0,
+      allowSpectators: options.allowSpectators !== false,
+      rated: options.rated || false,
+      seriesScoreboard: options.seriesScoreboard || false
+    };
+  }
+
+  createRoom(hostPlayerId, options = {}, roomCode = this.generateRoomCode()) {
+    this.validateSettings(options);
+
     const room = {
       code: roomCode,
       hostId: hostPlayerId,
       players: new Map(),
+      spectators: new Map(),
+      blockedPlayers: new Set(),
       maxPlayers: options.maxPlayers || 8,
+      maxSpectators: options.maxSpectators !== undefined ? options.maxSpectators : 10,
       gameState: 'waiting', // waiting, playing, finished
       gameData: null,
+      // Running totals across the consecutive games played at this table
+      series: { gamesPlayed: 0, totals: {} },
+      rematchVotes: new Set(),
       createdAt: Date.now(),
       lastActivity: Date.now(),
-      settings: {
-        gameLength: options.gameLength || 10,
-        language: options.language || 'en',
-        autoStart: options.autoStart || false
-      }
+      settings: this.buildSettings(options)
     };
 
     this.rooms.set(roomCode, room);
-    this.roomCodes.add(roomCode);
 
     console.log(`🏠 Room ${roomCode} created by player ${hostPlayerId}`);
     this.emit('roomCreated', { roomCode, hostId: hostPlayerId });
@@ -71,8 +167,16 @@ export class RoomManager extends EventEmitter {
       throw new Error('Game already in progress');
     }
 
+    if (room.blockedPlayers.has(playerId)) {
+      throw new Error('You have been removed from this room');
+    }
+
+    if (!hasEnoughCards(room.players.size + 1, getMaxCardsPerRound(room.settings))) {
+      throw new Error('Not enough cards for another player');
+    }
+
     // Check if player is already in room
-    if (room.players.has(playerId)) {
+    if (room.players.has(playerId) || room.spectators.has(playerId)) {
       throw new Error('Player already in room');
     }
 
@@ -87,7 +191,7 @@ export class RoomManager extends EventEmitter {
     };
 
     room.players.set(playerId, player);
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     console.log(`👤 Player ${player.name} joined room ${roomCode}`);
     this.emit('playerJoined', { roomCode, player, room });
@@ -102,20 +206,25 @@ export class RoomManager extends EventEmitter {
       return false;
     }
 
+    if (room.spectators.has(playerId)) {
+      return this.leaveAsSpectator(room, playerId);
+    }
+
     const player = room.players.get(playerId);
     if (!player) {
       return false;
     }
 
     room.players.delete(playerId);
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     console.log(`👋 Player ${player.name} left room ${roomCode}`);
     this.emit('playerLeft', { roomCode, player, room });
 
-    // If host left and there are other players, assign new host
-    if (player.isHost && room.players.size > 0) {
-      const newHost = Array.from(room.players.values())[0];
+    // If host left and there are other players, assign new host (bots can't host)
+    const humanPlayers = this.getHumanPlayers(room);
+    if (player.isHost && humanPlayers.length > 0) {
+      const newHost = humanPlayers[0];
       newHost.isHost = true;
       room.hostId = newHost.id;
       
@@ -123,10 +232,10 @@ export class RoomManager extends EventEmitter {
       this.emit('hostChanged', { roomCode, newHost, room });
     }
 
-    // If room is empty, schedule for deletion
-    if (room.players.size === 0) {
+    // If only bots are left, schedule for deletion
+    if (humanPlayers.length === 0) {
       setTimeout(() => {
-        if (this.rooms.has(roomCode) && this.rooms.get(roomCode).players.size === 0) {
+        if (this.rooms.has(roomCode) && this.getHumanPlayers(this.rooms.get(roomCode)).length === 0) {
           this.deleteRoom(roomCode);
         }
       }, 30000); // 30 second grace period
@@ -135,6 +244,269 @@ export class RoomManager extends EventEmitter {
     return true;
   }
 
+  joinAsSpectator(roomCode, playerId, playerData) {
+    const room = this.rooms.get(roomCode);
+
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (!room.settings.allowSpectators) {
+      throw new Error('Spectating is disabled in this room');
+    }
+
+    if (room.blockedPlayers.has(playerId)) {
+      throw new Error('You have been removed from this room');
+    }
+
+    if (room.spectators.size >= room.maxSpectators) {
+      throw new Error('Spectator limit reached');
+    }
+
+    if (room.players.has(playerId) || room.spectators.has(playerId)) {
+      throw new Error('Player already in room');
+    }
+
+    const spectator = {
+      id: playerId,
+      name: playerData.name || `Spectator ${room.spectators.size + 1}`,
+      isSpectator: true,
+      isConnected: true,
+      joinedAt: Date.now(),
+      socketId: playerData.socketId
+    };
+
+    room.spectators.set(playerId, spectator);
+    this.touchRoom(room);
+
+    console.log(`👀 ${spectator.name} is spectating room ${roomCode}`);
+    this.emit('spectatorJoined', { roomCode, spectator, room });
+
+    return { room, spectator };
+  }
+
+  leaveAsSpectator(room, playerId) {
+    const spectator = room.spectators.get(playerId);
+    room.spectators.delete(playerId);
+    this.touchRoom(room);
+
+    console.log(`👋 Spectator ${spectator.name} left room ${room.code}`);
+    this.emit('spectatorLeft', { roomCode: room.code, spectator, room });
+
+    return true;
+  }
+
+  isSpectator(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    return Boolean(room && room.spectators.has(playerId));
+  }
+
+  addBot(roomCode, requesterId, botData = {}) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (room.hostId !== requesterId) {
+      throw new Error('Only the host can manage bots');
+    }
+
+    if (room.gameState !== 'waiting') {
+      throw new Error('Bots can only be changed before the game starts');
+    }
+
+    if (room.players.size >= room.maxPlayers) {
+      throw new Error('Room is full');
+    }
+
+    if (!hasEnoughCards(room.players.size + 1, getMaxCardsPerRound(room.settings))) {
+      throw new Error('Not enough cards for another player');
+    }
+
+    const botCount = Array.from(room.players.values()).filter(p => p.isBot).length;
+    const bot = {
+      id: `bot_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      name: botData.name || `Bot ${botCount + 1}`,
+      isHost: false,
+      isBot: true,
+      isReady: true, // Bots are always ready and never disconnect
+      isConnected: true,
+      joinedAt: Date.now(),
+      socketId: null
+    };
+
+    room.players.set(bot.id, bot);
+    this.touchRoom(room);
+
+    console.log(`🤖 Bot ${bot.name} added to room ${roomCode}`);
+    this.emit('playerJoined', { roomCode, player: bot, room });
+
+    return { room, player: bot };
+  }
+
+  removeBot(roomCode, requesterId, botId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (room.hostId !== requesterId) {
+      throw new Error('Only the host can manage bots');
+    }
+
+    if (room.gameState !== 'waiting') {
+      throw new Error('Bots can only be changed before the game starts');
+    }
+
+    const bot = room.players.get(botId);
+    if (!bot || !bot.isBot) {
+      throw new Error('Bot not found in room');
+    }
+
+    return this.leaveRoom(roomCode, botId);
+  }
+
+  // Lobby controls are for the host, and only until the game starts
+  getLobbyForHost(roomCode, requesterId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (room.hostId !== requesterId) {
+      throw new Error('Only the host can change the lobby');
+    }
+
+    if (room.gameState !== 'waiting') {
+      throw new Error('The lobby can only be changed before the game starts');
+    }
+
+    return room;
+  }
+
+  updateSettings(roomCode, requesterId, changes) {
+    const room = this.getLobbyForHost(roomCode, requesterId);
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Invalid settings');
+    }
+
+    const unknown = Object.keys(changes).find(key =>
+      !Object.hasOwn(room.settings, key) && !['maxPlayers', 'maxSpectators'].includes(key)
+    );
+    if (unknown) {
+      throw new Error(`Unknown setting: ${unknown}`);
+    }
+
+    const options = {
+      ...room.settings,
+      maxPlayers: room.maxPlayers,
+      maxSpectators: room.maxSpectators,
+      ...changes
+    };
+    this.validateSettings(options);
+
+    if (options.maxPlayers < room.players.size) {
+      throw new Error('Player limit is below the number of seated players');
+    }
+
+    if (!hasEnoughCards(room.players.size, getMaxCardsPerRound(options))) {
+      throw new Error('Not enough cards for this many players and game length');
+    }
+
+    room.settings = this.buildSettings(options);
+    room.maxPlayers = options.maxPlayers;
+    room.maxSpectators = options.maxSpectators;
+
+    // Everyone has to agree to the new settings again; bots are always ready
+    room.players.forEach(player => {
+      player.isReady = Boolean(player.isBot);
+    });
+
+    this.touchRoom(room);
+
+    console.log(`⚙️ Settings updated in room ${roomCode}: ${Object.keys(changes).join(', ')}`);
+    this.emit('settingsUpdated', { roomCode, changes, room });
+
+    return room;
+  }
+
+  kickPlayer(roomCode, requesterId, targetId, { block = false } = {}) {
+    const room = this.getLobbyForHost(roomCode, requesterId);
+
+    if (targetId === requesterId) {
+      throw new Error('The host cannot kick themselves');
+    }
+
+    const target = room.players.get(targetId) || room.spectators.get(targetId);
+    if (!target) {
+      throw new Error('Player not found in room');
+    }
+
+    if (block) {
+      room.blockedPlayers.add(targetId);
+    }
+
+    this.leaveRoom(roomCode, targetId);
+
+    console.log(`🥾 ${target.name} was ${block ? 'removed and blocked' : 'kicked'} from room ${roomCode}`);
+    this.emit('playerKicked', { roomCode, player: target, blocked: block, room });
+
+    return room;
+  }
+
+  transferHost(roomCode, requesterId, targetId) {
+    const room = this.getLobbyForHost(roomCode, requesterId);
+
+    const newHost = room.players.get(targetId);
+    if (!newHost) {
+      throw new Error('Player not found in room');
+    }
+
+    if (newHost.isBot) {
+      throw new Error('Bots cannot be host');
+    }
+
+    if (targetId === requesterId) {
+      return room;
+    }
+
+    room.players.get(requesterId).isHost = false;
+    newHost.isHost = true;
+    room.hostId = targetId;
+    this.touchRoom(room);
+
+    console.log(`👑 ${newHost.name} is now host of room ${roomCode}`);
+    this.emit('hostChanged', { roomCode, newHost, room });
+
+    return room;
+  }
+
+  // Seats follow the order of room.players, which the game deals and plays around
+  setSeatOrder(roomCode, requesterId, playerIds) {
+    const room = this.getLobbyForHost(roomCode, requesterId);
+
+    const isPermutation = Array.isArray(playerIds) &&
+      playerIds.length === room.players.size &&
+      new Set(playerIds).size === playerIds.length &&
+      playerIds.every(id => room.players.has(id));
+    if (!isPermutation) {
+      throw new Error('Seat order must list every player once');
+    }
+
+    room.players = new Map(playerIds.map(id => [id, room.players.get(id)]));
+    this.touchRoom(room);
+
+    console.log(`💺 Seats reordered in room ${roomCode}`);
+    this.emit('seatOrderChanged', { roomCode, room });
+
+    return room;
+  }
+
+  getHumanPlayers(room) {
+    return Array.from(room.players.values()).filter(player => !player.isBot);
+  }
+
   deleteRoom(roomCode) {
     const room = this.rooms.get(roomCode);
     if (!room) {
@@ -142,7 +514,6 @@ export class RoomManager extends EventEmitter {
     }
 
     this.rooms.delete(roomCode);
-    this.roomCodes.delete(roomCode);
 
     console.log(`🗑️ Room ${roomCode} deleted`);
     this.emit('roomDeleted', { roomCode, room });
@@ -150,13 +521,19 @@ export class RoomManager extends EventEmitter {
     return true;
   }
 
+  // Marks the room as active and stores the change
+  touchRoom(room) {
+    room.lastActivity = Date.now();
+    this.rooms.save(room.code);
+  }
+
   getRoom(roomCode) {
     return this.rooms.get(roomCode);
   }
 
   getRoomByPlayerId(playerId) {
     for (const [roomCode, room] of this.rooms) {
-      if (room.players.has(playerId)) {
+      if (room.players.has(playerId) || room.spectators.has(playerId)) {
         return { roomCode, room };
       }
     }
@@ -169,13 +546,22 @@ export class RoomManager extends EventEmitter {
       throw new Error('Room not found');
     }
 
+    if (room.spectators.has(playerId)) {
+      throw new Error('Spectators cannot ready up');
+    }
+
     const player = room.players.get(playerId);
     if (!player) {
       throw new Error('Player not found in room');
     }
 
+    // After a game the table goes back to waiting through a rematch
+    if (room.gameState !== 'waiting') {
+      throw new Error('Ready state can only be changed before the game starts');
+    }
+
     player.isReady = isReady;
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     console.log(`${isReady ? '✅' : '❌'} Player ${player.name} ${isReady ? 'ready' : 'not ready'} in room ${roomCode}`);
     this.emit('playerReadyChanged', { roomCode, player, room });
@@ -195,7 +581,7 @@ export class RoomManager extends EventEmitter {
       return false;
     }
 
-    const player = room.players.get(playerId);
+    const player = room.players.get(playerId) || room.spectators.get(playerId);
     if (!player) {
       return false;
     }
@@ -204,7 +590,7 @@ export class RoomManager extends EventEmitter {
     if (socketId) {
       player.socketId = socketId;
     }
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     console.log(`🔌 Player ${player.name} ${isConnected ? 'connected' : 'disconnected'} in room ${roomCode}`);
     this.emit('playerConnectionChanged', { roomCode, player, room });
@@ -224,7 +610,7 @@ export class RoomManager extends EventEmitter {
 
     room.gameState = 'playing';
     room.gameData = gameData;
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     console.log(`🎮 Game started in room ${roomCode}`);
     this.emit('gameStarted', { roomCode, room, gameData });
@@ -239,7 +625,7 @@ export class RoomManager extends EventEmitter {
     }
 
     room.gameData = gameData;
-    room.lastActivity = Date.now();
+    this.touchRoom(room);
 
     this.emit('gameStateUpdated', { roomCode, room, gameData });
 
@@ -254,13 +640,32 @@ export class RoomManager extends EventEmitter {
 
     room.gameState = 'finished';
     room.gameData = { ...room.gameData, results };
-    room.lastActivity = Date.now();
 
-    // Reset player ready states
+    // Seat order is not rank order: positions come from the standings, shared on ties
+    results.standings.forEach(({ id, score, position }) => {
+      const player = room.players.get(id);
+      if (player) {
+        player.finalScore = score;
+        player.finalPosition = position;
+      }
+    });
+
+    room.series.gamesPlayed++;
+    results.standings.forEach(({ id, name, score, position }) => {
+      const totals = room.series.totals[id] || { name, points: 0, wins: 0, games: 0 };
+      totals.points += score;
+      totals.wins += position === 1 ? 1 : 0;
+      totals.games++;
+      room.series.totals[id] = totals;
+    });
+
+    // Reset player ready states; bots are always ready
     room.players.forEach(player => {
-      player.isReady = false;
+      player.isReady = Boolean(player.isBot);
     });
 
+    this.touchRoom(room);
+
     console.log(`🏁 Game ended in room ${roomCode}`);
     this.emit('gameEnded', { roomCode, room, results });
 
@@ -275,19 +680,103 @@ export class RoomManager extends EventEmitter {
 
     room.gameState = 'waiting';
     room.gameData = null;
-    room.lastActivity = Date.now();
+    room.rematchVotes.clear();
 
-    // Reset all players to not ready
+    // Reset all players to not ready; bots are always ready
     room.players.forEach(player => {
-      player.isReady = false;
+      player.isReady = Boolean(player.isBot);
     });
 
+    this.touchRoom(room);
+
     console.log(`🔄 Room ${roomCode} reset`);
     this.emit('roomReset', { roomCode, room });
 
     return room;
   }
 
+  // Play again at the same table with the same settings. The host restarts the room straight away;
+  // anyone else casts a vote, and the room restarts once every connected human has voted.
+  requestRematch(roomCode, playerId) {
+    const room = this.rooms.get(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+
+    if (room.spectators.has(playerId)) {
+      throw new Error('Spectators cannot vote for a rematch');
+    }
+
+    const player = room.players.get(playerId);
+    if (!player) {
+      throw new Error('Player not found in room');
+    }
+
+    if (room.gameState !== 'finished') {
+      throw new Error('Game has not finished');
+    }
+
+    room.rematchVotes.add(playerId);
+
+    const voters = Array.from(room.players.values()).filter(p => !p.isBot && p.isConnected);
+    const needed = voters.filter(p => !room.rematchVotes.has(p.id)).length;
+
+    if (!player.isHost && needed > 0) {
+      this.touchRoom(room);
+
+      console.log(`🗳️ Player ${player.name} voted for a rematch in room ${roomCode} (${needed} more needed)`);
+      this.emit('rematchVoted', { roomCode, playerId, needed, room });
+
+      return { room, started: false };
+    }
+
+    // Whoever asked for the rematch is ready to play it
+    const votes = new Set(room.rematchVotes);
+    this.resetRoom(roomCode);
+    votes.forEach(id => {
+      if (room.players.has(id)) {
+        room.players.get(id).isReady = true;
+      }
+    });
+    this.touchRoom(room);
+
+    console.log(`🔁 Rematch starting in room ${roomCode} (game ${room.series.gamesPlayed + 1})`);
+    this.emit('rematchStarted', { roomCode, room });
+
+    const allReady = Array.from(room.players.values()).every(p => p.isReady);
+    if (allReady && room.players.size >= 2) {
+      this.emit('allPlayersReady', { roomCode, room });
+    }
+
+    return { room, started: true };
+  }
+
+  // Series totals, best first
+  getSeriesScoreboard(room) {
+    return {
+      gamesPlayed: room.series.gamesPlayed,
+      standings: Object.entries(room.series.totals)
+        .map(([id, totals]) => ({ id, ...totals }))
+        .sort((a, b) => b.points - a.points || b.wins - a.wins)
+    };
+  }
+
+  // Room payload sent to clients; spectators are listed apart from the seated players
+  serializeRoom(room) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      players: Array.from(room.players.values()),
+      spectators: Array.from(room.spectators.values()),
+      maxPlayers: room.maxPlayers,
+      maxSpectators: room.maxSpectators,
+      gameState: room.gameState,
+      settings: room.settings,
+      rematchVotes: Array.from(room.rematchVotes),
+      series: room.settings.seriesScoreboard ? this.getSeriesScoreboard(room) : null
+    };
+  }
+
   cleanupInactiveRooms() {
     const now = Date.now();
     const inactivityThreshold = 30 * 60 * 1000; // 30 minutes
@@ -308,6 +797,7 @@ export class RoomManager extends EventEmitter {
     return Array.from(this.rooms.entries()).map(([code, room]) => ({
       code,
       playerCount: room.players.size,
+      spectatorCount: room.spectators.size,
       maxPlayers: room.maxPlayers,
       gameState: room.gameState,
       createdAt: room.createdAt,
@@ -320,7 +810,6 @@ export class RoomManager extends EventEmitter {
       clearInterval(this.cleanupInterval);
     }
     this.rooms.clear();
-    this.roomCodes.clear();
     console.log('🧹 RoomManager cleaned up');
   }
 }
\ No newline at end of file
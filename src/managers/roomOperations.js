@@ -0,0 +1,145 @@
+import { createPlayerView, createPublicView } from '../game/views.js';
+
+// Everything clients can do to a room, run on the instance that holds it. Results are plain
+// objects so they can be sent back from another server instance unchanged.
+export function createRoomOperations(roomManager, gameManager) {
+  const getRoomOrThrow = (roomCode) => {
+    const room = roomManager.getRoom(roomCode);
+    if (!room) {
+      throw new Error('Room not found');
+    }
+    return room;
+  };
+
+  // Seated players see their own hand, spectators the public table
+  const viewFor = (roomCode, playerId, gameState) => (
+    roomManager.isSpectator(roomCode, playerId)
+      ? createPublicView(gameState)
+      : createPlayerView(gameState, playerId)
+  );
+
+  return {
+    getRoom(roomCode) {
+      const room = getRoomOrThrow(roomCode);
+      return { ...roomManager.serializeRoom(room), gameData: createPublicView(room.gameData) };
+    },
+
+    joinRoom(roomCode, playerId, playerData) {
+      const { room, player } = roomManager.joinRoom(roomCode, playerId, playerData);
+      return { room: roomManager.serializeRoom(room), player };
+    },
+
+    spectate(roomCode, playerId, playerData) {
+      const { room, spectator } = roomManager.joinAsSpectator(roomCode, playerId, playerData);
+      return {
+        room: roomManager.serializeRoom(room),
+        spectator,
+        gameState: createPublicView(room.gameData)
+      };
+    },
+
+    leaveRoom(roomCode, playerId) {
+      return roomManager.leaveRoom(roomCode, playerId);
+    },
+
+    deleteRoom(roomCode, playerId) {
+      const room = getRoomOrThrow(roomCode);
+      const player = room.players.get(playerId);
+      if (!player || !player.isHost) {
+        throw new Error('Only the host can delete the room');
+      }
+      return roomManager.deleteRoom(roomCode);
+    },
+
+    addBot(roomCode, playerId, botData) {
+      const { room, player } = roomManager.addBot(roomCode, playerId, botData);
+      return { room: roomManager.serializeRoom(room), player };
+    },
+
+    removeBot(roomCode, playerId, botId) {
+      return roomManager.removeBot(roomCode, playerId, botId);
+    },
+
+    setReady(roomCode, playerId, isReady) {
+      const room = roomManager.updatePlayerReady(roomCode, playerId, isReady);
+      return { room: roomManager.serializeRoom(room) };
+    },
+
+    updateSettings(roomCode, playerId, changes) {
+      return { room: roomManager.serializeRoom(roomManager.updateSettings(roomCode, playerId, changes)) };
+    },
+
+    kickPlayer(roomCode, playerId, targetId, options) {
+      return { room: roomManager.serializeRoom(roomManager.kickPlayer(roomCode, playerId, targetId, options)) };
+    },
+
+    transferHost(roomCode, playerId, targetId) {
+      return { room: roomManager.serializeRoom(roomManager.transferHost(roomCode, playerId, targetId)) };
+    },
+
+    setSeatOrder(roomCode, playerId, playerIds) {
+      return { room: roomManager.serializeRoom(roomManager.setSeatOrder(roomCode, playerId, playerIds)) };
+    },
+
+    requestRematch(roomCode, playerId) {
+      const { room, started } = roomManager.requestRematch(roomCode, playerId);
+      return { room: roomManager.serializeRoom(room), started };
+    },
+
+    isSpectator(roomCode, playerId) {
+      return roomManager.isSpectator(roomCode, playerId);
+    },
+
+    // A returning socket: hand the seat back and resync the player with any game in progress
+    connectPlayer(roomCode, playerId, socketId) {
+      const room = roomManager.getRoom(roomCode);
+      if (!room || !(room.players.has(playerId) || room.spectators.has(playerId))) {
+        return null;
+      }
+
+      roomManager.updatePlayerConnection(roomCode, playerId, true, socketId);
+      gameManager.handlePlayerReconnection(roomCode, playerId);
+
+      const game = gameManager.getActiveGame(roomCode);
+      return {
+        room: roomManager.serializeRoom(room),
+        gameState: game ? viewFor(roomCode, playerId, game.gameState) : null
+      };
+    },
+
+    disconnectPlayer(roomCode, playerId) {
+      roomManager.updatePlayerConnection(roomCode, playerId, false);
+      gameManager.handlePlayerDisconnection(roomCode, playerId);
+    },
+
+    async startGame(roomCode, playerId) {
+      const gameState = await gameManager.startGame(roomCode, playerId);
+      return createPlayerView(gameState, playerId);
+    },
+
+    async gameAction(roomCode, playerId, action) {
+      const gameState = await gameManager.processGameAction(roomCode, playerId, action);
+      return createPlayerView(gameState, playerId);
+    },
+
+    pauseGame(roomCode, playerId) {
+      return createPlayerView(gameManager.pauseGameByHost(roomCode, playerId), playerId);
+    },
+
+    resumeGame(roomCode, playerId) {
+      return createPlayerView(gameManager.resumeGameByHost(roomCode, playerId), playerId);
+    },
+
+    getGame(roomCode) {
+      const game = gameManager.getActiveGame(roomCode);
+      if (!game) {
+        throw new Error('No active game found');
+      }
+      return createPublicView(game.gameState);
+    },
+
+    getReplay(roomCode, step) {
+      return gameManager.getReplay(roomCode, step);
+    }
+  };
+}
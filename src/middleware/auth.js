@@ -0,0 +1,26 @@
+// Authenticates REST requests with an `Authorization: Bearer <sessionToken>` header
+export const requireSession = (playerManager) => async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Session token required' });
+  }
+
+  try {
+    const { player, session } = await playerManager.authenticateSession(token);
+    req.player = player;
+    req.session = session;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+};
+
+// Same as requireSession, but lets requests without an Authorization header through as anonymous
+export const optionalSession = (playerManager) => async (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+
+  return requireSession(playerManager)(req, res, next);
+};
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+// Everything needed to resume a game in progress: the live state plus the log it was built from
+const activeGameSchema = new mongoose.Schema({
+  roomCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    length: 4
+  },
+  gameState: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  initialState: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  actionLog: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  sealedBids: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+export const ActiveGame = mongoose.model('ActiveGame', activeGameSchema);
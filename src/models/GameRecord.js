@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// Permanent record of a finished game, kept for match history after its room is gone
+const gameRecordSchema = new mongoose.Schema({
+  gameId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  roomCode: {
+    type: String,
+    required: true
+  },
+  rated: {
+    type: Boolean,
+    default: false
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // In seating order
+  players: [{
+    id: { type: String, required: true },
+    name: { type: String, required: true },
+    isBot: { type: Boolean, default: false },
+    seat: { type: Number, required: true },
+    finalScore: { type: Number, default: 0 },
+    finalPosition: { type: Number, default: 0 },
+    totalTimeouts: { type: Number, default: 0 },
+    ratingChange: { type: Number, default: null }
+  }],
+  // Humans only, for looking up a player's games
+  playerIds: {
+    type: [String],
+    default: []
+  },
+  winnerIds: {
+    type: [String],
+    default: []
+  },
+  roundSequence: {
+    type: [Number],
+    default: []
+  },
+  roundHistory: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  // State before the first deal plus the action log, enough to replay the game
+  initialState: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  actionLog: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    required: true
+  },
+  duration: {
+    type: Number,
+    default: 0
+  }
+});
+
+gameRecordSchema.index({ playerIds: 1, endedAt: -1 });
+
+export const GameRecord = mongoose.model('GameRecord', gameRecordSchema);
@@ -1,9 +1,13 @@
 import mongoose from 'mongoose';
+import { SCORING_PRESETS, DEFAULT_SCORING_PRESET } from '../game/scoring.js';
+import { ROUND_SHAPES } from '../game/rounds.js';
+import { TIEBREAKERS, DEFAULT_TIEBREAKERS } from '../game/standings.js';
 
 const playerSchema = new mongoose.Schema({
   id: { type: String, required: true },
   name: { type: String, required: true },
   isHost: { type: Boolean, default: false },
+  isBot: { type: Boolean, default: false },
   isReady: { type: Boolean, default: false },
   isConnected: { type: Boolean, default: true },
   joinedAt: { type: Date, default: Date.now },
@@ -24,12 +28,28 @@ const gameSessionSchema = new mongoose.Schema({
     required: true
   },
   players: [playerSchema],
+  spectators: [{
+    id: { type: String, required: true },
+    name: { type: String, required: true },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  // Players the host removed and barred from rejoining
+  blockedPlayers: {
+    type: [String],
+    default: []
+  },
   maxPlayers: {
     type: Number,
     default: 8,
     min: 2,
     max: 10
   },
+  maxSpectators: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 50
+  },
   gameState: {
     type: String,
     enum: ['waiting', 'playing', 'finished'],
@@ -39,12 +59,30 @@ const gameSessionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed,
     default: null
   },
+  series: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ gamesPlayed: 0, totals: {} })
+  },
+  rematchVotes: {
+    type: [String],
+    default: []
+  },
   settings: {
     gameLength: {
       type: Number,
-      enum: [7, 10, 12],
+      min: 1,
+      max: 26,
       default: 10
     },
+    roundShape: {
+      type: String,
+      enum: ROUND_SHAPES,
+      default: 'downUp'
+    },
+    customRounds: {
+      type: [{ type: Number, min: 1, max: 26 }],
+      default: []
+    },
     language: {
       type: String,
       enum: ['en', 'pt'],
@@ -53,6 +91,70 @@ const gameSessionSchema = new mongoose.Schema({
     autoStart: {
       type: Boolean,
       default: false
+    },
+    rankOrder: {
+      type: String,
+      enum: ['aceHigh', 'aceLow'],
+      default: 'aceHigh'
+    },
+    mustTrumpIfVoid: {
+      type: Boolean,
+      default: false
+    },
+    noLeadTrumpUntilBroken: {
+      type: Boolean,
+      default: false
+    },
+    hookRule: {
+      type: Boolean,
+      default: false
+    },
+    biddingMode: {
+      type: String,
+      enum: ['open', 'sealed'],
+      default: 'open'
+    },
+    scoringPreset: {
+      type: String,
+      enum: Object.keys(SCORING_PRESETS),
+      default: DEFAULT_SCORING_PRESET
+    },
+    tiebreakers: {
+      type: [{ type: String, enum: Object.keys(TIEBREAKERS) }],
+      default: () => [...DEFAULT_TIEBREAKERS]
+    },
+    blindOneCard: {
+      type: Boolean,
+      default: false
+    },
+    turnTimer: {
+      type: Number,
+      min: 0,
+      max: 600,
+      default: 0
+    },
+    timeoutBidStrategy: {
+      type: String,
+      enum: ['zero', 'heuristic'],
+      default: 'zero'
+    },
+    autopilotGrace: {
+      type: Number,
+      min: 0,
+      max: 600,
+      default: 0
+    },
+    allowSpectators: {
+      type: Boolean,
+      default: true
+    },
+    rated: {
+      type: Boolean,
+      default: false
+    },
+    seriesScoreboard: {
+      type: Boolean,
+      default: false
     }
   },
   createdAt: {
@@ -153,13 +255,13 @@ gameSessionSchema.methods.endGame = function(results) {
   this.finishedAt = new Date();
   this.lastActivity = new Date();
   
-  // Update player final scores and positions
-  if (results && results.finalScores) {
-    results.finalScores.forEach((scoreData, index) => {
-      const player = this.players.find(p => p.id === scoreData.id);
+  // Update player final scores and positions; tied players share a position
+  if (results && results.standings) {
+    results.standings.forEach(entry => {
+      const player = this.players.find(p => p.id === entry.id);
       if (player) {
-        player.finalScore = scoreData.score;
-        player.finalPosition = index + 1;
+        player.finalScore = entry.score;
+        player.finalPosition = entry.position;
       }
     });
   }
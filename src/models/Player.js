@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+const playerSchema = new mongoose.Schema({
+  playerId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  roomCode: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastActivity: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// TTL index to drop players that haven't been seen for 24 hours
+playerSchema.index({ lastActivity: 1 }, { expireAfterSeconds: 86400 });
+
+export const Player = mongoose.model('Player', playerSchema);
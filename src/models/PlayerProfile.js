@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Long-lived identity behind a player: outlives their session records and follows them across rooms
+const playerProfileSchema = new mongoose.Schema({
+  profileId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  // Current session; changing or clearing it revokes every token issued before
+  sessionId: {
+    type: String,
+    default: null
+  },
+  stats: {
+    gamesPlayed: { type: Number, default: 0 },
+    gamesWon: { type: Number, default: 0 },
+    totalScore: { type: Number, default: 0 },
+    roundsPlayed: { type: Number, default: 0 },
+    exactBids: { type: Number, default: 0 },
+    currentExactStreak: { type: Number, default: 0 },
+    longestExactStreak: { type: Number, default: 0 }
+  },
+  // { overall: { rating, games, peak }, languages: { [language]: { rating, games, peak } } }
+  ratings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ratingHistory: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Leaderboards
+playerProfileSchema.index({ 'ratings.overall.rating': -1 });
+['en', 'pt'].forEach(language => {
+  playerProfileSchema.index({ [`ratings.languages.${language}.rating`]: -1 });
+});
+
+export const PlayerProfile = mongoose.model('PlayerProfile', playerProfileSchema);
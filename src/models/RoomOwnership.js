@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Which server instance currently holds a room in memory; kept alive by heartbeats
+const roomOwnershipSchema = new mongoose.Schema({
+  roomCode: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    length: 4
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  heartbeatAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roomOwnershipSchema.index({ instanceId: 1 });
+
+// Drop ownership records of instances that stopped sending heartbeats a long time ago
+roomOwnershipSchema.index({ heartbeatAt: 1 }, { expireAfterSeconds: 3600 });
+
+export const RoomOwnership = mongoose.model('RoomOwnership', roomOwnershipSchema);
@@ -0,0 +1,102 @@
+const getPath = (item, path) => path.split('.').reduce((value, key) => value?.[key], item);
+
+// Map-backed store used by the managers for rooms, players and active games
+export class MemoryRepository {
+  constructor() {
+    this.items = new Map();
+  }
+
+  get(id) {
+    return this.items.get(id);
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  set(id, value) {
+    this.items.set(id, value);
+    return this;
+  }
+
+  delete(id) {
+    return this.items.delete(id);
+  }
+
+  // Called after an item is changed in place, optionally naming the fields that changed;
+  // nothing to do when everything lives in memory
+  save(id, fields) {}
+
+  // Looks an item up, including ones stored by another server instance
+  async fetch(id) {
+    return this.items.get(id);
+  }
+
+  // Like fetch, but skips any in-memory copy another instance may have made stale
+  async refresh(id) {
+    return this.items.get(id);
+  }
+
+  // Items whose `path` holds `value` (or an array containing it), newest by `sortPath` first
+  async query(path, value, { sortPath, limit = 50, offset = 0 } = {}) {
+    const matches = Array.from(this.items.values()).filter(item => {
+      const field = getPath(item, path);
+      return Array.isArray(field) ? field.includes(value) : field === value;
+    });
+
+    if (sortPath) {
+      matches.sort((a, b) => getPath(b, sortPath) - getPath(a, sortPath));
+    }
+
+    return matches.slice(offset, offset + limit);
+  }
+
+  // Items with a number at `path` (e.g. 'stats.rating'), highest first
+  async rank(path, { limit = 50, offset = 0 } = {}) {
+    return Array.from(this.items.values())
+      .filter(item => typeof getPath(item, path) === 'number')
+      .sort((a, b) => getPath(b, path) - getPath(a, path))
+      .slice(offset, offset + limit);
+  }
+
+  // Forgets the in-memory copy of an item without touching stored data; here memory is the only
+  // copy, so there is nothing to forget
+  evict(id) {
+    return false;
+  }
+
+  get size() {
+    return this.items.size;
+  }
+
+  keys() {
+    return this.items.keys();
+  }
+
+  values() {
+    return this.items.values();
+  }
+
+  entries() {
+    return this.items.entries();
+  }
+
+  forEach(callback) {
+    this.items.forEach(callback);
+  }
+
+  [Symbol.iterator]() {
+    return this.items.entries();
+  }
+
+  // Drops the in-memory copies only; stored data is left alone
+  clear() {
+    this.items.clear();
+  }
+
+  async load() {
+    return this.items.size;
+  }
+
+  async flush() {}
+}
@@ -0,0 +1,158 @@
+import { MemoryRepository } from './MemoryRepository.js';
+
+// Keeps items in memory for synchronous access and writes every change through to a Mongoose model
+export class MongoRepository extends MemoryRepository {
+  constructor(model, { key, toDocument, fromDocument, filter = {}, preload = true, cache = true }) {
+    super();
+    this.model = model;
+    this.key = key;
+    this.toDocument = toDocument;
+    this.fromDocument = fromDocument;
+    this.filter = filter;
+    this.preload = preload;
+    this.cache = cache; // false: items are dropped from memory once written, and read straight from MongoDB
+    this.writes = new Map(); // id -> promise of the latest queued write
+    this.pendingSaves = new Map(); // id -> fields to write, or null for the whole item
+  }
+
+  set(id, value) {
+    super.set(id, value);
+    this.save(id);
+    return this;
+  }
+
+  delete(id) {
+    const deleted = super.delete(id);
+    if (deleted) {
+      this.enqueue(id, () => this.model.deleteOne({ [this.key]: id }));
+    }
+    return deleted;
+  }
+
+  // Several changes in the same tick collapse into one write of the latest state. Naming the
+  // changed `fields` sets only those, so changes other instances made to the rest are kept.
+  save(id, fields = null) {
+    if (this.pendingSaves.has(id)) {
+      const pending = this.pendingSaves.get(id);
+      this.pendingSaves.set(id, pending && fields ? [...new Set([...pending, ...fields])] : null);
+      return;
+    }
+
+    this.pendingSaves.set(id, fields);
+    this.enqueue(id, async () => {
+      const changedFields = this.pendingSaves.get(id);
+      this.pendingSaves.delete(id);
+
+      const value = this.items.get(id);
+      if (!value) {
+        return;
+      }
+
+      const document = this.toDocument(value);
+      const update = changedFields
+        ? { $set: Object.fromEntries(changedFields.map(field => [field, document[field]])) }
+        : document;
+
+      await this.model.findOneAndUpdate({ [this.key]: id }, update, { upsert: true, setDefaultsOnInsert: true });
+
+      if (!this.cache && !this.pendingSaves.has(id)) {
+        this.items.delete(id);
+      }
+    });
+  }
+
+  // Writes for one item run in order so an older snapshot never lands after a newer one
+  enqueue(id, write) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous
+      .then(write)
+      .catch(error => console.error(`❌ Failed to persist ${this.model.modelName} ${id}:`, error))
+      .finally(() => {
+        if (this.writes.get(id) === next) {
+          this.writes.delete(id);
+        }
+      });
+
+    this.writes.set(id, next);
+  }
+
+  evict(id) {
+    return this.items.delete(id);
+  }
+
+  async fetch(id) {
+    if (this.items.has(id)) {
+      return this.items.get(id);
+    }
+
+    const document = await this.model.findOne({ [this.key]: id }).lean();
+    if (!document) {
+      return undefined;
+    }
+
+    const value = this.fromDocument(document);
+    if (this.cache) {
+      this.items.set(id, value);
+    }
+    return value;
+  }
+
+  async refresh(id) {
+    // Let this instance's own queued writes land first
+    await this.writes.get(id);
+
+    const document = await this.model.findOne({ [this.key]: id }).lean();
+    if (!document) {
+      this.items.delete(id);
+      return undefined;
+    }
+
+    const value = this.fromDocument(document);
+    if (this.cache) {
+      this.items.set(id, value);
+    }
+    return value;
+  }
+
+  async query(path, value, { sortPath, limit = 50, offset = 0 } = {}) {
+    const documents = await this.model.find({ [path]: value })
+      .sort(sortPath ? { [sortPath]: -1 } : {})
+      .skip(offset)
+      .limit(limit)
+      .lean();
+
+    return documents.map(document => this.items.get(document[this.key]) || this.fromDocument(document));
+  }
+
+  // Ranks stored items too; the mapping must keep `path` the same in documents and items
+  async rank(path, { limit = 50, offset = 0 } = {}) {
+    const documents = await this.model.find({ [path]: { $type: 'number' } })
+      .sort({ [path]: -1, [this.key]: 1 })
+      .skip(offset)
+      .limit(limit)
+      .lean();
+
+    return documents.map(document => this.items.get(document[this.key]) || this.fromDocument(document));
+  }
+
+  async load() {
+    if (!this.preload) {
+      return 0;
+    }
+
+    const documents = await this.model.find(this.filter).lean();
+    documents.forEach(document => {
+      this.items.set(document[this.key], this.fromDocument(document));
+    });
+
+    console.log(`📊 Loaded ${documents.length} ${this.model.modelName} records`);
+    return documents.length;
+  }
+
+  // Waits for every queued write, e.g. before shutting down
+  async flush() {
+    while (this.writes.size > 0) {
+      await Promise.all(Array.from(this.writes.values()));
+    }
+  }
+}
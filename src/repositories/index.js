@@ -0,0 +1,222 @@
+import { MemoryRepository } from './MemoryRepository.js';
+import { MongoRepository } from './MongoRepository.js';
+import { GameSession } from '../models/GameSession.js';
+import { Player } from '../models/Player.js';
+import { PlayerProfile } from '../models/PlayerProfile.js';
+import { ActiveGame } from '../models/ActiveGame.js';
+import { GameRecord } from '../models/GameRecord.js';
+
+const toTime = value => new Date(value).getTime();
+
+const roomMapping = {
+  key: 'roomCode',
+  filter: { gameState: { $in: ['waiting', 'playing'] } },
+  toDocument: room => ({
+    roomCode: room.code,
+    hostId: room.hostId,
+    players: Array.from(room.players.values()).map(player => ({
+      id: player.id,
+      name: player.name,
+      isHost: player.isHost,
+      isBot: Boolean(player.isBot),
+      isReady: player.isReady,
+      isConnected: player.isConnected,
+      joinedAt: player.joinedAt,
+      finalScore: player.finalScore || 0,
+      finalPosition: player.finalPosition || 0
+    })),
+    spectators: Array.from(room.spectators.values()).map(spectator => ({
+      id: spectator.id,
+      name: spectator.name,
+      joinedAt: spectator.joinedAt
+    })),
+    blockedPlayers: Array.from(room.blockedPlayers),
+    maxPlayers: room.maxPlayers,
+    maxSpectators: room.maxSpectators,
+    gameState: room.gameState,
+    gameData: room.gameData,
+    series: room.series,
+    rematchVotes: Array.from(room.rematchVotes),
+    settings: room.settings,
+    lastActivity: room.lastActivity
+  }),
+  // Humans and spectators come back disconnected until they re-authenticate
+  fromDocument: document => ({
+    code: document.roomCode,
+    hostId: document.hostId,
+    players: new Map(document.players.map(player => [player.id, {
+      id: player.id,
+      name: player.name,
+      isHost: player.isHost,
+      isBot: player.isBot,
+      isReady: player.isReady,
+      isConnected: player.isBot,
+      joinedAt: toTime(player.joinedAt),
+      finalScore: player.finalScore,
+      finalPosition: player.finalPosition,
+      socketId: null
+    }])),
+    spectators: new Map((document.spectators || []).map(spectator => [spectator.id, {
+      id: spectator.id,
+      name: spectator.name,
+      isSpectator: true,
+      isConnected: false,
+      joinedAt: toTime(spectator.joinedAt),
+      socketId: null
+    }])),
+    blockedPlayers: new Set(document.blockedPlayers || []),
+    maxPlayers: document.maxPlayers,
+    maxSpectators: document.maxSpectators,
+    gameState: document.gameState,
+    gameData: document.gameData || null,
+    series: document.series || { gamesPlayed: 0, totals: {} },
+    rematchVotes: new Set(document.rematchVotes || []),
+    createdAt: toTime(document.createdAt),
+    lastActivity: Date.now(), // Give players the full inactivity window to come back
+    settings: document.settings
+  })
+};
+
+const playerMapping = {
+  key: 'playerId',
+  toDocument: player => ({
+    playerId: player.id,
+    name: player.name,
+    roomCode: player.roomCode,
+    createdAt: player.createdAt,
+    lastActivity: player.lastActivity
+  }),
+  fromDocument: document => ({
+    id: document.playerId,
+    socketId: null,
+    name: document.name,
+    roomCode: document.roomCode,
+    isConnected: false,
+    createdAt: toTime(document.createdAt),
+    lastActivity: toTime(document.lastActivity)
+  })
+};
+
+// Profiles are kept forever, so they are fetched on demand instead of loaded at startup
+const profileMapping = {
+  key: 'profileId',
+  preload: false,
+  toDocument: profile => ({
+    profileId: profile.id,
+    name: profile.name,
+    sessionId: profile.sessionId,
+    stats: profile.stats,
+    ratings: profile.ratings,
+    ratingHistory: profile.ratingHistory,
+    lastSeenAt: profile.lastSeenAt
+  }),
+  fromDocument: document => ({
+    id: document.profileId,
+    name: document.name,
+    sessionId: document.sessionId,
+    stats: document.stats,
+    ratings: document.ratings || {},
+    ratingHistory: document.ratingHistory || [],
+    createdAt: toTime(document.createdAt),
+    lastSeenAt: toTime(document.lastSeenAt)
+  })
+};
+
+// Timers are runtime-only and are restarted when the game is restored
+const gameMapping = {
+  key: 'roomCode',
+  toDocument: game => ({
+    roomCode: game.roomCode,
+    gameState: game.gameState,
+    initialState: game.initialState,
+    actionLog: game.actionLog,
+    sealedBids: game.sealedBids,
+    startedAt: game.startedAt
+  }),
+  fromDocument: document => ({
+    roomCode: document.roomCode,
+    gameState: document.gameState,
+    initialState: document.initialState,
+    actionLog: document.actionLog,
+    startedAt: toTime(document.startedAt),
+    currentRound: document.gameState.currentRound,
+    phase: document.gameState.phase,
+    sealedBids: document.sealedBids || {},
+    autoPlayTimer: null,
+    botTimer: null,
+    turnTimer: null,
+    autopilotTimers: {}
+  })
+};
+
+// Records are written once and only read back for match history, so they aren't kept in memory
+const recordMapping = {
+  key: 'gameId',
+  preload: false,
+  cache: false,
+  toDocument: record => ({
+    gameId: record.id,
+    roomCode: record.roomCode,
+    rated: record.rated,
+    language: record.language,
+    settings: record.settings,
+    players: record.players,
+    playerIds: record.playerIds,
+    winnerIds: record.winnerIds,
+    roundSequence: record.roundSequence,
+    roundHistory: record.roundHistory,
+    initialState: record.initialState,
+    actionLog: record.actionLog,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    duration: record.duration
+  }),
+  fromDocument: document => ({
+    id: document.gameId,
+    roomCode: document.roomCode,
+    rated: document.rated,
+    language: document.language,
+    settings: document.settings,
+    players: document.players.map(({ _id, ...player }) => player),
+    playerIds: document.playerIds,
+    winnerIds: document.winnerIds,
+    roundSequence: document.roundSequence,
+    roundHistory: document.roundHistory,
+    initialState: document.initialState,
+    actionLog: document.actionLog,
+    startedAt: toTime(document.startedAt),
+    endedAt: toTime(document.endedAt),
+    duration: document.duration
+  })
+};
+
+export function createRepositories(backend = 'memory') {
+  switch (backend) {
+    case 'memory':
+      return {
+        rooms: new MemoryRepository(),
+        players: new MemoryRepository(),
+        profiles: new MemoryRepository(),
+        games: new MemoryRepository(),
+        records: new MemoryRepository()
+      };
+    case 'mongo':
+      return {
+        rooms: new MongoRepository(GameSession, roomMapping),
+        players: new MongoRepository(Player, playerMapping),
+        profiles: new MongoRepository(PlayerProfile, profileMapping),
+        games: new MongoRepository(ActiveGame, gameMapping),
+        records: new MongoRepository(GameRecord, recordMapping)
+      };
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+}
+
+export async function loadRepositories(repositories) {
+  await Promise.all(Object.values(repositories).map(repository => repository.load()));
+}
+
+export async function flushRepositories(repositories) {
+  await Promise.all(Object.values(repositories).map(repository => repository.flush()));
+}
@@ -1,30 +1,86 @@
 import { Router } from 'express';
-
-export function setupRoutes(app, roomManager, playerManager, gameManager) {
+import { listScoringPresets } from '../game/scoring.js';
+import { createPublicView } from '../game/views.js';
+import { optionalSession, requireSession } from '../middleware/auth.js';
+
+// Room settings the room manager rejects
+const SETTINGS_ERRORS = [
+  'Invalid settings',
+  'Invalid on/off setting',
+  'Invalid player limit',
+  'Invalid language',
+  'Invalid rank order',
+  'Invalid bidding mode',
+  'Hook rule requires open bidding',
+  'Invalid scoring preset',
+  'Invalid tiebreakers',
+  'Invalid round shape',
+  'Invalid game length',
+  'Invalid custom rounds',
+  'Invalid turn timer',
+  'Invalid timeout bid strategy',
+  'Invalid autopilot grace period',
+  'Invalid spectator limit'
+];
+
+export function setupRoutes(app, roomManager, playerManager, gameManager, clusterManager) {
   const router = Router();
+  const authenticate = requireSession(playerManager);
+  const identify = optionalSession(playerManager);
+
+  // ?limit=&offset= for list endpoints
+  const parsePage = (query) => {
+    const limit = query.limit === undefined ? 50 : Number(query.limit);
+    const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100 || !Number.isInteger(offset) || offset < 0) {
+      throw new Error('Invalid page');
+    }
+    return { limit, offset };
+  };
 
   // Room routes
-  router.post('/rooms/create', async (req, res) => {
+  // A request with a session acts as that player, keeping their profile; otherwise a new player is made
+  const playerFor = (req, playerName) => req.player || playerManager.createPlayer(null, { name: playerName.trim() });
+
+  router.post('/rooms/create', identify, async (req, res) => {
     try {
       const { playerName, gameSettings = {} } = req.body;
 
-      if (!playerName || playerName.trim().length === 0) {
+      if (!req.player && (!playerName || playerName.trim().length === 0)) {
         return res.status(400).json({ error: 'Player name is required' });
       }
 
       // Create player first
-      const player = playerManager.createPlayer(null, { name: playerName.trim() });
+      const player = playerFor(req, playerName);
       
       // Create room
-      const room = roomManager.createRoom(player.id, {
+      const room = await clusterManager.createRoom(player.id, {
         maxPlayers: gameSettings.maxPlayers || 8,
         gameLength: gameSettings.gameLength || 10,
+        roundShape: gameSettings.roundShape || 'downUp',
+        customRounds: gameSettings.customRounds || [],
         language: gameSettings.language || 'en',
-        autoStart: gameSettings.autoStart || false
+        autoStart: gameSettings.autoStart || false,
+        rankOrder: gameSettings.rankOrder || 'aceHigh',
+        mustTrumpIfVoid: gameSettings.mustTrumpIfVoid || false,
+        noLeadTrumpUntilBroken: gameSettings.noLeadTrumpUntilBroken || false,
+        hookRule: gameSettings.hookRule || false,
+        biddingMode: gameSettings.biddingMode || 'open',
+        scoringPreset: gameSettings.scoringPreset || 'classic',
+        tiebreakers: gameSettings.tiebreakers,
+        blindOneCard: gameSettings.blindOneCard || false,
+        turnTimer: gameSettings.turnTimer || 0,
+        timeoutBidStrategy: gameSettings.timeoutBidStrategy || 'zero',
+        autopilotGrace: gameSettings.autopilotGrace || 0,
+        allowSpectators: gameSettings.allowSpectators !== false,
+        maxSpectators: gameSettings.maxSpectators !== undefined ? gameSettings.maxSpectators : 10,
+        rated: gameSettings.rated === true,
+        seriesScoreboard: gameSettings.seriesScoreboard === true
       });
 
       // Add player to room
-      const { room: updatedRoom } = roomManager.joinRoom(room.code, player.id, {
+      const { room: updatedRoom } = await clusterManager.run(room.code, 'joinRoom', player.id, {
         name: player.name,
         socketId: null
       });
@@ -35,27 +91,25 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
         success: true,
         roomCode: room.code,
         playerId: player.id,
-        room: {
-          code: updatedRoom.code,
-          hostId: updatedRoom.hostId,
-          players: Array.from(updatedRoom.players.values()),
-          maxPlayers: updatedRoom.maxPlayers,
-          gameState: updatedRoom.gameState,
-          settings: updatedRoom.settings
-        }
+        sessionToken: playerManager.issueSessionToken(player),
+        room: updatedRoom
       });
 
     } catch (error) {
       console.error('Error creating room:', error);
-      res.status(500).json({ error: error.message });
+
+      let statusCode = 500;
+      if (SETTINGS_ERRORS.includes(error.message)) statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
     }
   });
 
-  router.post('/rooms/join', async (req, res) => {
+  router.post('/rooms/join', identify, async (req, res) => {
     try {
       const { roomCode, playerName } = req.body;
 
-      if (!roomCode || !playerName) {
+      if (!roomCode || (!req.player && !playerName)) {
         return res.status(400).json({ error: 'Room code and player name are required' });
       }
 
@@ -65,11 +119,10 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
         return res.status(400).json({ error: 'Room code must be 4 characters' });
       }
 
-      // Create player
-      const player = playerManager.createPlayer(null, { name: playerName.trim() });
+      const player = playerFor(req, playerName);
 
       // Join room
-      const { room, player: roomPlayer } = roomManager.joinRoom(normalizedRoomCode, player.id, {
+      const { room } = await clusterManager.run(normalizedRoomCode, 'joinRoom', player.id, {
         name: player.name,
         socketId: null
       });
@@ -79,14 +132,8 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
       res.json({
         success: true,
         playerId: player.id,
-        room: {
-          code: room.code,
-          hostId: room.hostId,
-          players: Array.from(room.players.values()),
-          maxPlayers: room.maxPlayers,
-          gameState: room.gameState,
-          settings: room.settings
-        }
+        sessionToken: playerManager.issueSessionToken(player),
+        room
       });
 
     } catch (error) {
@@ -97,64 +144,216 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
       else if (error.message === 'Room is full') statusCode = 409;
       else if (error.message === 'Game already in progress') statusCode = 409;
       else if (error.message === 'Player already in room') statusCode = 409;
+      else if (error.message === 'Not enough cards for another player') statusCode = 409;
+      else if (error.message === 'You have been removed from this room') statusCode = 403;
 
       res.status(statusCode).json({ error: error.message });
     }
   });
 
-  router.get('/rooms/:code', async (req, res) => {
+  router.post('/rooms/spectate', identify, async (req, res) => {
     try {
-      const roomCode = req.params.code.toUpperCase();
-      const room = roomManager.getRoom(roomCode);
+      const { roomCode, playerName } = req.body;
 
-      if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
+      if (!roomCode || (!req.player && !playerName)) {
+        return res.status(400).json({ error: 'Room code and player name are required' });
       }
 
+      const normalizedRoomCode = roomCode.toUpperCase().trim();
+
+      if (normalizedRoomCode.length !== 4) {
+        return res.status(400).json({ error: 'Room code must be 4 characters' });
+      }
+
+      const player = playerFor(req, playerName);
+
+      const { room, gameState } = await clusterManager.run(normalizedRoomCode, 'spectate', player.id, {
+        name: player.name,
+        socketId: null
+      });
+
+      playerManager.setPlayerRoom(player.id, normalizedRoomCode);
+
       res.json({
         success: true,
-        room: {
-          code: room.code,
-          hostId: room.hostId,
-          players: Array.from(room.players.values()),
-          maxPlayers: room.maxPlayers,
-          gameState: room.gameState,
-          settings: room.settings,
-          gameData: room.gameData
-        }
+        playerId: player.id,
+        sessionToken: playerManager.issueSessionToken(player),
+        room,
+        gameState
+      });
+
+    } catch (error) {
+      console.error('Error spectating room:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+      else if (error.message === 'Spectating is disabled in this room') statusCode = 403;
+      else if (error.message === 'Spectator limit reached') statusCode = 409;
+      else if (error.message === 'You have been removed from this room') statusCode = 403;
+      else if (error.message === 'Player already in room') statusCode = 409;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.get('/rooms/:code', async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+      const room = await clusterManager.run(roomCode, 'getRoom');
+
+      res.json({
+        success: true,
+        room
       });
 
     } catch (error) {
       console.error('Error getting room:', error);
-      res.status(500).json({ error: error.message });
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+
+      res.status(statusCode).json({ error: error.message });
     }
   });
 
-  router.delete('/rooms/:code', async (req, res) => {
+  router.delete('/rooms/:code', authenticate, async (req, res) => {
     try {
       const roomCode = req.params.code.toUpperCase();
-      const { playerId } = req.body;
+      const playerId = req.player.id;
+
+      await clusterManager.run(roomCode, 'deleteRoom', playerId);
+
+      res.json({ success: true, message: 'Room deleted successfully' });
+
+    } catch (error) {
+      console.error('Error deleting room:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+      else if (error.message === 'Only the host can delete the room') statusCode = 403;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  // Host lobby controls
+  const sendLobbyError = (res, error) => {
+    let statusCode = 500;
+    if (error.message === 'Room not found') statusCode = 404;
+    else if (error.message === 'Player not found in room') statusCode = 404;
+    else if (error.message === 'Only the host can change the lobby') statusCode = 403;
+    else if (error.message === 'The lobby can only be changed before the game starts') statusCode = 409;
+    else if (SETTINGS_ERRORS.includes(error.message)) statusCode = 400;
+    else if (error.message.startsWith('Unknown setting')) statusCode = 400;
+    else if (error.message === 'Player limit is below the number of seated players') statusCode = 400;
+    else if (error.message === 'Not enough cards for this many players and game length') statusCode = 400;
+    else if (error.message === 'The host cannot kick themselves') statusCode = 400;
+    else if (error.message === 'Bots cannot be host') statusCode = 400;
+    else if (error.message === 'Seat order must list every player once') statusCode = 400;
+
+    res.status(statusCode).json({ error: error.message });
+  };
+
+  router.patch('/rooms/:code/settings', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+      const { settings = {} } = req.body;
+
+      const { room } = await clusterManager.run(roomCode, 'updateSettings', req.player.id, settings);
+
+      res.json({ success: true, room });
+
+    } catch (error) {
+      console.error('Error updating room settings:', error);
+      sendLobbyError(res, error);
+    }
+  });
+
+  router.post('/rooms/:code/kick', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+      const { playerId, block = false } = req.body;
 
       if (!playerId) {
         return res.status(400).json({ error: 'Player ID is required' });
       }
 
-      const room = roomManager.getRoom(roomCode);
-      if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
-      }
+      const { room } = await clusterManager.run(roomCode, 'kickPlayer', req.player.id, playerId, {
+        block: Boolean(block)
+      });
+
+      res.json({ success: true, room });
+
+    } catch (error) {
+      console.error('Error kicking player:', error);
+      sendLobbyError(res, error);
+    }
+  });
+
+  router.post('/rooms/:code/host', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+      const { playerId } = req.body;
 
-      const player = room.players.get(playerId);
-      if (!player || !player.isHost) {
-        return res.status(403).json({ error: 'Only the host can delete the room' });
+      if (!playerId) {
+        return res.status(400).json({ error: 'Player ID is required' });
       }
 
-      roomManager.deleteRoom(roomCode);
+      const { room } = await clusterManager.run(roomCode, 'transferHost', req.player.id, playerId);
 
-      res.json({ success: true, message: 'Room deleted successfully' });
+      res.json({ success: true, room });
 
     } catch (error) {
-      console.error('Error deleting room:', error);
+      console.error('Error transferring host:', error);
+      sendLobbyError(res, error);
+    }
+  });
+
+  router.put('/rooms/:code/seats', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+      const { playerIds } = req.body;
+
+      const { room } = await clusterManager.run(roomCode, 'setSeatOrder', req.player.id, playerIds);
+
+      res.json({ success: true, room });
+
+    } catch (error) {
+      console.error('Error setting seat order:', error);
+      sendLobbyError(res, error);
+    }
+  });
+
+  router.post('/rooms/:code/rematch', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.code.toUpperCase();
+
+      const { room, started } = await clusterManager.run(roomCode, 'requestRematch', req.player.id);
+
+      res.json({ success: true, started, room });
+
+    } catch (error) {
+      console.error('Error requesting rematch:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+      else if (error.message === 'Player not found in room') statusCode = 403;
+      else if (error.message === 'Spectators cannot vote for a rematch') statusCode = 403;
+      else if (error.message === 'Game has not finished') statusCode = 409;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  // Ends the current session; every token issued to the player stops working
+  router.delete('/session', authenticate, async (req, res) => {
+    try {
+      playerManager.revokeSession(req.player.id);
+
+      res.json({ success: true });
+
+    } catch (error) {
+      console.error('Error revoking session:', error);
       res.status(500).json({ error: error.message });
     }
   });
@@ -163,21 +362,15 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
   router.get('/players/:id', async (req, res) => {
     try {
       const playerId = req.params.id;
-      const player = playerManager.getPlayer(playerId);
+      const profile = await playerManager.getProfile(playerId);
 
-      if (!player) {
+      if (!profile) {
         return res.status(404).json({ error: 'Player not found' });
       }
 
       res.json({
         success: true,
-        player: {
-          id: player.id,
-          name: player.name,
-          roomCode: player.roomCode,
-          isConnected: player.isConnected,
-          stats: player.stats
-        }
+        player: playerManager.serializeProfile(profile)
       });
 
     } catch (error) {
@@ -186,17 +379,130 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
     }
   });
 
-  // Game routes
-  router.post('/games/:roomCode/start', async (req, res) => {
+  router.get('/players/:id/ratings', async (req, res) => {
     try {
-      const roomCode = req.params.roomCode.toUpperCase();
-      const { playerId } = req.body;
+      const profile = await playerManager.getProfile(req.params.id);
 
-      if (!playerId) {
-        return res.status(400).json({ error: 'Player ID is required' });
+      if (!profile) {
+        return res.status(404).json({ error: 'Player not found' });
+      }
+
+      res.json({
+        success: true,
+        ratings: profile.ratings,
+        history: [...profile.ratingHistory].reverse()
+      });
+
+    } catch (error) {
+      console.error('Error getting rating history:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get('/players/:id/matches', async (req, res) => {
+    try {
+      const { limit, offset } = parsePage(req.query);
+
+      // One extra tells whether there is another page
+      const matches = await gameManager.getPlayerMatches(req.params.id, { limit: limit + 1, offset });
+
+      res.json({
+        success: true,
+        matches: matches.slice(0, limit),
+        hasMore: matches.length > limit
+      });
+
+    } catch (error) {
+      console.error('Error getting match history:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Invalid page') statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.get('/matches/:gameId', async (req, res) => {
+    try {
+      const match = await gameManager.getMatch(req.params.gameId);
+
+      res.json({ success: true, match });
+
+    } catch (error) {
+      console.error('Error getting match:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Game record not found') statusCode = 404;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.get('/matches/:gameId/replay', async (req, res) => {
+    try {
+      const step = req.query.step === undefined ? undefined : Number(req.query.step);
+
+      const replay = await gameManager.getMatchReplay(req.params.gameId, step);
+
+      res.json({ success: true, ...replay });
+
+    } catch (error) {
+      console.error('Error replaying match:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Game record not found') statusCode = 404;
+      else if (error.message === 'Invalid replay step') statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  // Leaderboard routes
+  router.get('/leaderboard', async (req, res) => {
+    try {
+      const leaderboard = await playerManager.getLeaderboard(parsePage(req.query));
+
+      res.json({ success: true, leaderboard });
+
+    } catch (error) {
+      console.error('Error getting leaderboard:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Invalid page') statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.get('/leaderboard/:language', async (req, res) => {
+    try {
+      const language = req.params.language.toLowerCase();
+
+      if (!/^[a-z]{2}$/.test(language)) {
+        return res.status(400).json({ error: 'Invalid language' });
       }
 
-      const gameState = await gameManager.startGame(roomCode, playerId);
+      const leaderboard = await playerManager.getLeaderboard({ language, ...parsePage(req.query) });
+
+      res.json({ success: true, language, leaderboard });
+
+    } catch (error) {
+      console.error('Error getting leaderboard:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Invalid page') statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  // Game routes
+  router.post('/games/:roomCode/start', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.roomCode.toUpperCase();
+      const playerId = req.player.id;
+
+      const gameState = await clusterManager.run(roomCode, 'startGame', playerId);
 
       res.json({
         success: true,
@@ -209,34 +515,131 @@ export function setupRoutes(app, roomManager, playerManager, gameManager) {
       let statusCode = 500;
       if (error.message === 'Room not found') statusCode = 404;
       else if (error.message === 'Only the host can start the game') statusCode = 403;
+      else if (error.message === 'Spectators cannot start the game') statusCode = 403;
       else if (error.message === 'Need at least 2 players to start') statusCode = 400;
       else if (error.message === 'All players must be ready to start') statusCode = 400;
+      else if (error.message === 'Not enough cards for this many players and game length') statusCode = 400;
       else if (error.message === 'Game already started or finished') statusCode = 409;
 
       res.status(statusCode).json({ error: error.message });
     }
   });
 
-  router.get('/games/:roomCode', async (req, res) => {
+  router.post('/games/:roomCode/pause', authenticate, async (req, res) => {
     try {
       const roomCode = req.params.roomCode.toUpperCase();
-      const game = gameManager.getActiveGame(roomCode);
+      const playerId = req.player.id;
+
+      const gameState = await clusterManager.run(roomCode, 'pauseGame', playerId);
+
+      res.json({ success: true, gameState });
+
+    } catch (error) {
+      console.error('Error pausing game:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+      else if (error.message === 'No active game found') statusCode = 404;
+      else if (error.message === 'Only the host can pause the game') statusCode = 403;
+      else if (error.message === 'Game is already paused') statusCode = 409;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.post('/games/:roomCode/resume', authenticate, async (req, res) => {
+    try {
+      const roomCode = req.params.roomCode.toUpperCase();
+      const playerId = req.player.id;
+
+      const gameState = await clusterManager.run(roomCode, 'resumeGame', playerId);
+
+      res.json({ success: true, gameState });
+
+    } catch (error) {
+      console.error('Error resuming game:', error);
+
+      let statusCode = 500;
+      if (error.message === 'Room not found') statusCode = 404;
+      else if (error.message === 'No active game found') statusCode = 404;
+      else if (error.message === 'Only the host can resume the game') statusCode = 403;
+      else if (error.message === 'Game is not paused') statusCode = 409;
+      else if (error.message === 'Not enough connected players to resume') statusCode = 409;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
 
-      if (!game) {
-        return res.status(404).json({ error: 'No active game found' });
+  router.get('/games/:roomCode/replay', async (req, res) => {
+    try {
+      const roomCode = req.params.roomCode.toUpperCase();
+      const step = req.query.step === undefined ? undefined : Number(req.query.step);
+
+      const replay = await clusterManager.run(roomCode, 'getReplay', step);
+
+      // Hands and deal seeds stay hidden until the game is over
+      let { entry, gameState } = replay;
+      if (!replay.isFinished) {
+        gameState = createPublicView(gameState);
+        if (entry) {
+          const { seed, ...publicEntry } = entry;
+          entry = publicEntry;
+
+          // Sealed bids stay hidden until the round's bids are revealed
+          const sealed = gameState.rules.biddingMode === 'sealed' && gameState.phase === 'bidding';
+          if (sealed && entry.action && entry.action.type === 'placeBid') {
+            const { bid, ...publicAction } = entry.action;
+            entry = { ...entry, action: publicAction };
+          }
+        }
       }
 
       res.json({
         success: true,
-        gameState: game.gameState
+        gameId: replay.gameId || null,
+        step: replay.step,
+        totalSteps: replay.totalSteps,
+        isFinished: replay.isFinished,
+        entry,
+        gameState
+      });
+
+    } catch (error) {
+      console.error('Error replaying game:', error);
+
+      let statusCode = 500;
+      if (error.message === 'No game found') statusCode = 404;
+      else if (error.message === 'Game record not found') statusCode = 404;
+      else if (error.message === 'Invalid replay step') statusCode = 400;
+
+      res.status(statusCode).json({ error: error.message });
+    }
+  });
+
+  router.get('/games/:roomCode', async (req, res) => {
+    try {
+      const roomCode = req.params.roomCode.toUpperCase();
+      const gameState = await clusterManager.run(roomCode, 'getGame');
+
+      res.json({
+        success: true,
+        gameState
       });
 
     } catch (error) {
       console.error('Error getting game state:', error);
-      res.status(500).json({ error: error.message });
+
+      let statusCode = 500;
+      if (error.message === 'No active game found') statusCode = 404;
+
+      res.status(statusCode).json({ error: error.message });
     }
   });
 
+  router.get('/scoring-presets', (req, res) => {
+    res.json({ success: true, presets: listScoringPresets() });
+  });
+
   // Stats routes
   router.get('/stats', async (req, res) => {
     try {
@@ -1,34 +1,83 @@
-export function setupSocketHandlers(io, roomManager, playerManager, gameManager) {
+import { createPlayerView, createPublicView } from '../game/views.js';
+import { verifySessionToken } from '../auth/sessionTokens.js';
+
+export function setupSocketHandlers(io, roomManager, playerManager, gameManager, clusterManager) {
+  // Send every seated player their own view of the game state; spectators get the public view
+  const emitGameState = (roomCode, event, payload) => {
+    const room = roomManager.getRoom(roomCode);
+    if (!room) {
+      return;
+    }
+
+    room.players.forEach(player => {
+      if (player.socketId) {
+        io.to(player.socketId).emit(event, {
+          ...payload,
+          gameState: createPlayerView(payload.gameState, player.id)
+        });
+      }
+    });
+
+    const publicState = createPublicView(payload.gameState);
+    room.spectators.forEach(spectator => {
+      if (spectator.socketId) {
+        io.to(spectator.socketId).emit(event, { ...payload, gameState: publicState });
+      }
+    });
+  };
+
   io.on('connection', (socket) => {
     console.log(`🔌 Socket connected: ${socket.id}`);
 
     let currentPlayer = null;
+    let currentSession = null;
     let currentRoom = null;
 
+    // Events act as the player this socket authenticated as, while their session is still valid
+    const requireSession = () => {
+      if (!currentPlayer || !playerManager.isSessionActive(currentPlayer, currentSession)) {
+        throw new Error('Player not authenticated');
+      }
+      return currentPlayer.id;
+    };
+
     // Handle player authentication/creation
     socket.on('player:authenticate', async (data, callback) => {
       try {
-        const { playerId, playerName } = data;
+        const { sessionToken, playerName } = data;
+        let reconnection = null;
+        currentPlayer = null;
+        currentSession = null;
+
+        if (sessionToken) {
+          // Existing player reconnecting, possibly created on another server instance
+          try {
+            ({ player: currentPlayer, session: currentSession } = await playerManager.authenticateSession(sessionToken));
+          } catch (error) {
+            if (!playerName) {
+              throw error;
+            }
+          }
 
-        if (playerId) {
-          // Existing player reconnecting
-          currentPlayer = playerManager.getPlayer(playerId);
           if (currentPlayer) {
+            const playerId = currentPlayer.id;
             playerManager.updatePlayerSocket(playerId, socket.id);
             
-            // Rejoin room if they were in one
+            // Rejoin room if they were in one, handing the seat back if the autopilot was playing for them
             if (currentPlayer.roomCode) {
-              const room = roomManager.getRoom(currentPlayer.roomCode);
-              if (room) {
-                roomManager.updatePlayerConnection(currentPlayer.roomCode, playerId, true, socket.id);
+              reconnection = await clusterManager.run(currentPlayer.roomCode, 'connectPlayer', playerId, socket.id);
+              if (reconnection) {
                 socket.join(currentPlayer.roomCode);
                 currentRoom = currentPlayer.roomCode;
                 
                 // Notify room of reconnection
                 socket.to(currentRoom).emit('player:reconnected', {
-                  player: currentPlayer,
-                  room: room
+                  player: playerManager.serializePlayer(currentPlayer),
+                  room: reconnection.room
                 });
+              } else {
+                // The room is gone, or they no longer have a place in it
+                playerManager.setPlayerRoom(playerId, null);
               }
             }
           }
@@ -43,7 +92,17 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
           throw new Error('Failed to authenticate player');
         }
 
-        callback({ success: true, player: currentPlayer });
+        // A fresh token extends the session; the client should store it for the next reconnect
+        const newToken = playerManager.issueSessionToken(currentPlayer);
+        currentSession = verifySessionToken(newToken);
+
+        // Resync a reconnecting player with their view of any game in progress
+        callback({
+          success: true,
+          player: playerManager.serializePlayer(currentPlayer),
+          sessionToken: newToken,
+          gameState: reconnection ? reconnection.gameState : null
+        });
 
       } catch (error) {
         console.error('Authentication error:', error);
@@ -54,16 +113,13 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
     // Handle room joining
     socket.on('room:join', async (data, callback) => {
       try {
-        const { roomCode, playerId } = data;
-
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { roomCode } = data;
+        const playerId = requireSession();
 
         const normalizedRoomCode = roomCode.toUpperCase();
         
         // Join room
-        const { room, player } = roomManager.joinRoom(normalizedRoomCode, playerId, {
+        const { room, player } = await clusterManager.run(normalizedRoomCode, 'joinRoom', playerId, {
           name: currentPlayer.name,
           socketId: socket.id
         });
@@ -78,23 +134,12 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
         // Notify room of new player
         socket.to(normalizedRoomCode).emit('player:joined', {
           player,
-          room: {
-            code: room.code,
-            players: Array.from(room.players.values()),
-            gameState: room.gameState
-          }
+          room
         });
 
         callback({ 
           success: true, 
-          room: {
-            code: room.code,
-            hostId: room.hostId,
-            players: Array.from(room.players.values()),
-            maxPlayers: room.maxPlayers,
-            gameState: room.gameState,
-            settings: room.settings
-          }
+          room
         });
 
       } catch (error) {
@@ -103,17 +148,43 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
       }
     });
 
+    // Handle joining a room as a spectator
+    socket.on('room:spectate', async (data, callback) => {
+      try {
+        const { roomCode } = data;
+        const playerId = requireSession();
+
+        const normalizedRoomCode = roomCode.toUpperCase();
+
+        const { room, gameState } = await clusterManager.run(normalizedRoomCode, 'spectate', playerId, {
+          name: currentPlayer.name,
+          socketId: socket.id
+        });
+
+        socket.join(normalizedRoomCode);
+        currentRoom = normalizedRoomCode;
+        playerManager.setPlayerRoom(playerId, normalizedRoomCode);
+
+        callback({
+          success: true,
+          room,
+          gameState
+        });
+
+      } catch (error) {
+        console.error('Room spectate error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
     // Handle room leaving
     socket.on('room:leave', async (data, callback) => {
       try {
-        const { roomCode, playerId } = data;
-
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { roomCode } = data;
+        const playerId = requireSession();
 
         const normalizedRoomCode = roomCode.toUpperCase();
-        const success = roomManager.leaveRoom(normalizedRoomCode, playerId);
+        const success = await clusterManager.run(normalizedRoomCode, 'leaveRoom', playerId);
 
         if (success) {
           socket.leave(normalizedRoomCode);
@@ -135,26 +206,116 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
       }
     });
 
+    // Handle host adding a bot seat
+    socket.on('room:add_bot', async (data, callback) => {
+      try {
+        const { roomCode, botName } = data;
+        const playerId = requireSession();
+
+        // The room is notified through the playerJoined event
+        const { player: bot } = await clusterManager.run(roomCode.toUpperCase(), 'addBot', playerId, { name: botName });
+
+        callback({ success: true, bot });
+
+      } catch (error) {
+        console.error('Add bot error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Handle host removing a bot seat
+    socket.on('room:remove_bot', async (data, callback) => {
+      try {
+        const { roomCode, botId } = data;
+        const playerId = requireSession();
+
+        // The room is notified through the playerLeft event
+        const success = await clusterManager.run(roomCode.toUpperCase(), 'removeBot', playerId, botId);
+
+        callback({ success });
+
+      } catch (error) {
+        console.error('Remove bot error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Host lobby controls; the room is notified through the room manager's events
+    socket.on('room:update_settings', async (data, callback) => {
+      try {
+        const { roomCode, settings } = data;
+        const playerId = requireSession();
+
+        const { room } = await clusterManager.run(roomCode.toUpperCase(), 'updateSettings', playerId, settings || {});
+
+        callback({ success: true, room });
+
+      } catch (error) {
+        console.error('Update settings error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    socket.on('room:kick', async (data, callback) => {
+      try {
+        const { roomCode, targetId, block } = data;
+        const playerId = requireSession();
+
+        const { room } = await clusterManager.run(roomCode.toUpperCase(), 'kickPlayer', playerId, targetId, {
+          block: Boolean(block)
+        });
+
+        callback({ success: true, room });
+
+      } catch (error) {
+        console.error('Kick player error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    socket.on('room:transfer_host', async (data, callback) => {
+      try {
+        const { roomCode, targetId } = data;
+        const playerId = requireSession();
+
+        const { room } = await clusterManager.run(roomCode.toUpperCase(), 'transferHost', playerId, targetId);
+
+        callback({ success: true, room });
+
+      } catch (error) {
+        console.error('Transfer host error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    socket.on('room:set_seats', async (data, callback) => {
+      try {
+        const { roomCode, playerIds } = data;
+        const playerId = requireSession();
+
+        const { room } = await clusterManager.run(roomCode.toUpperCase(), 'setSeatOrder', playerId, playerIds);
+
+        callback({ success: true, room });
+
+      } catch (error) {
+        console.error('Set seats error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
     // Handle player ready state
     socket.on('player:ready', async (data, callback) => {
       try {
-        const { roomCode, playerId, isReady } = data;
-
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { roomCode, isReady } = data;
+        const playerId = requireSession();
 
-        const room = roomManager.updatePlayerReady(roomCode, playerId, isReady);
+        const { room } = await clusterManager.run(roomCode, 'setReady', playerId, isReady);
 
         // Notify room of ready state change
         io.to(roomCode).emit('player:ready_changed', {
           playerId,
           isReady,
-          room: {
-            code: room.code,
-            players: Array.from(room.players.values()),
-            gameState: room.gameState
-          }
+          room
         });
 
         callback({ success: true });
@@ -165,19 +326,30 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
       }
     });
 
-    // Handle game start
-    socket.on('game:start', async (data, callback) => {
+    // Vote for (or, as host, start) another game at the same table
+    socket.on('room:rematch', async (data, callback) => {
       try {
-        const { roomCode, playerId } = data;
+        const { roomCode } = data;
+        const playerId = requireSession();
 
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { room, started } = await clusterManager.run(roomCode, 'requestRematch', playerId);
+
+        callback({ success: true, started, room });
+
+      } catch (error) {
+        console.error('Rematch error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
 
-        const gameState = await gameManager.startGame(roomCode, playerId);
+    // Handle game start
+    socket.on('game:start', async (data, callback) => {
+      try {
+        const { roomCode } = data;
+        const playerId = requireSession();
 
-        // Notify room that game started
-        io.to(roomCode).emit('game:started', { gameState });
+        // The room is notified through the gameStarted event
+        const gameState = await clusterManager.run(roomCode, 'startGame', playerId);
 
         callback({ success: true, gameState });
 
@@ -190,16 +362,11 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
     // Handle game actions
     socket.on('game:action', async (data, callback) => {
       try {
-        const { roomCode, playerId, action } = data;
-
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { roomCode, action } = data;
+        const playerId = requireSession();
 
-        const gameState = await gameManager.processGameAction(roomCode, playerId, action);
-
-        // Notify room of game state update
-        io.to(roomCode).emit('game:state_updated', { gameState, action });
+        // The room is notified through the gameStateUpdated event
+        const gameState = await clusterManager.run(roomCode, 'gameAction', playerId, action);
 
         callback({ success: true, gameState });
 
@@ -209,14 +376,45 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
       }
     });
 
+    // Handle host pausing the game
+    socket.on('game:pause', async (data, callback) => {
+      try {
+        const { roomCode } = data;
+        const playerId = requireSession();
+
+        // The room is notified through the gamePaused event
+        await clusterManager.run(roomCode.toUpperCase(), 'pauseGame', playerId);
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Game pause error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
+    // Handle host resuming the game
+    socket.on('game:resume', async (data, callback) => {
+      try {
+        const { roomCode } = data;
+        const playerId = requireSession();
+
+        // The room is notified through the gameResumed event
+        await clusterManager.run(roomCode.toUpperCase(), 'resumeGame', playerId);
+
+        callback({ success: true });
+
+      } catch (error) {
+        console.error('Game resume error:', error);
+        callback({ success: false, error: error.message });
+      }
+    });
+
     // Handle chat messages
     socket.on('chat:message', async (data, callback) => {
       try {
-        const { roomCode, playerId, message } = data;
-
-        if (!currentPlayer || currentPlayer.id !== playerId) {
-          throw new Error('Player not authenticated');
-        }
+        const { roomCode, message } = data;
+        const playerId = requireSession();
 
         if (!message || message.trim().length === 0) {
           throw new Error('Message cannot be empty');
@@ -226,6 +424,7 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
           id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
           playerId,
           playerName: currentPlayer.name,
+          isSpectator: await clusterManager.run(roomCode, 'isSpectator', playerId),
           message: message.trim(),
           timestamp: Date.now()
         };
@@ -249,16 +448,15 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
         const disconnectedPlayer = playerManager.disconnectPlayer(socket.id);
         
         if (disconnectedPlayer && currentRoom) {
-          roomManager.updatePlayerConnection(currentRoom, disconnectedPlayer.id, false);
+          // Mark the seat disconnected and handle game disconnection if in active game
+          clusterManager.run(currentRoom, 'disconnectPlayer', disconnectedPlayer.id)
+            .catch(error => console.error('Disconnect handling error:', error));
           
           // Notify room of disconnection
           socket.to(currentRoom).emit('player:disconnected', {
             playerId: disconnectedPlayer.id,
             playerName: disconnectedPlayer.name
           });
-
-          // Handle game disconnection if in active game
-          gameManager.handlePlayerDisconnection(currentRoom, disconnectedPlayer.id);
         }
       }
     });
@@ -270,14 +468,26 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
   });
 
   // Listen to manager events and broadcast to rooms
+  // Drop the connection of a player whose session was revoked
+  playerManager.on('sessionRevoked', ({ player }) => {
+    if (player.socketId) {
+      io.in(player.socketId).disconnectSockets(true);
+    }
+  });
+
+  // Nobody is seated in a deleted room any more
+  roomManager.on('roomDeleted', ({ room }) => {
+    [...room.players.keys(), ...room.spectators.keys()].forEach(playerId => {
+      if (playerManager.getPlayer(playerId)) {
+        playerManager.setPlayerRoom(playerId, null);
+      }
+    });
+  });
+
   roomManager.on('playerJoined', ({ roomCode, player, room }) => {
     io.to(roomCode).emit('room:player_joined', {
       player,
-      room: {
-        code: room.code,
-        players: Array.from(room.players.values()),
-        gameState: room.gameState
-      }
+      room: roomManager.serializeRoom(room)
     });
   });
 
@@ -285,49 +495,135 @@ export function setupSocketHandlers(io, roomManager, playerManager, gameManager)
     io.to(roomCode).emit('room:player_left', {
       playerId: player.id,
       playerName: player.name,
-      room: {
-        code: room.code,
-        players: Array.from(room.players.values()),
-        gameState: room.gameState
-      }
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('spectatorJoined', ({ roomCode, spectator, room }) => {
+    io.to(roomCode).emit('room:spectator_joined', {
+      spectator,
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('spectatorLeft', ({ roomCode, spectator, room }) => {
+    io.to(roomCode).emit('room:spectator_left', {
+      spectatorId: spectator.id,
+      room: roomManager.serializeRoom(room)
     });
   });
 
   roomManager.on('hostChanged', ({ roomCode, newHost, room }) => {
     io.to(roomCode).emit('room:host_changed', {
       newHost,
-      room: {
-        code: room.code,
-        players: Array.from(room.players.values()),
-        gameState: room.gameState
-      }
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('settingsUpdated', ({ roomCode, changes, room }) => {
+    io.to(roomCode).emit('room:settings_updated', {
+      changes,
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('playerKicked', ({ roomCode, player, blocked, room }) => {
+    // Tell the kicked player first, then take their socket out of the room
+    if (player.socketId) {
+      io.to(player.socketId).emit('room:kicked', { roomCode, blocked });
+      io.in(player.socketId).socketsLeave(roomCode);
+    }
+
+    const kickedPlayer = playerManager.getPlayer(player.id);
+    if (kickedPlayer && kickedPlayer.roomCode === roomCode) {
+      playerManager.setPlayerRoom(player.id, null);
+    }
+
+    io.to(roomCode).emit('room:player_kicked', {
+      playerId: player.id,
+      playerName: player.name,
+      blocked,
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('seatOrderChanged', ({ roomCode, room }) => {
+    io.to(roomCode).emit('room:seats_updated', {
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('rematchVoted', ({ roomCode, playerId, needed, room }) => {
+    io.to(roomCode).emit('room:rematch_voted', {
+      playerId,
+      needed,
+      room: roomManager.serializeRoom(room)
+    });
+  });
+
+  roomManager.on('rematchStarted', ({ roomCode, room }) => {
+    io.to(roomCode).emit('room:rematch_started', {
+      room: roomManager.serializeRoom(room)
     });
   });
 
   roomManager.on('allPlayersReady', ({ roomCode, room }) => {
     io.to(roomCode).emit('room:all_ready', {
-      room: {
-        code: room.code,
-        players: Array.from(room.players.values()),
-        gameState: room.gameState
-      }
+      room: roomManager.serializeRoom(room)
     });
   });
 
   gameManager.on('gameStarted', ({ roomCode, gameState }) => {
-    io.to(roomCode).emit('game:started', { gameState });
+    emitGameState(roomCode, 'game:started', { gameState });
   });
 
   gameManager.on('gameStateUpdated', ({ roomCode, gameState, action }) => {
-    io.to(roomCode).emit('game:state_updated', { gameState, action });
+    emitGameState(roomCode, 'game:state_updated', { gameState, action });
+  });
+
+  // The seat knows the player's socket even when they are connected to another instance
+  gameManager.on('forbiddenBid', ({ roomCode, playerId, forbiddenBid }) => {
+    const room = roomManager.getRoom(roomCode);
+    const player = room && room.players.get(playerId);
+    if (player && player.socketId) {
+      io.to(player.socketId).emit('game:forbidden_bid', { forbiddenBid });
+    }
+  });
+
+  gameManager.on('bidsRevealed', ({ roomCode, bids }) => {
+    io.to(roomCode).emit('game:bids_revealed', { bids });
+  });
+
+  gameManager.on('turnTimer', ({ roomCode, playerId, remaining, duration }) => {
+    io.to(roomCode).emit('game:turn_timer', { playerId, remaining, duration });
+  });
+
+  gameManager.on('turnWarning', ({ roomCode, playerId, remaining }) => {
+    io.to(roomCode).emit('game:turn_warning', { playerId, remaining });
+  });
+
+  gameManager.on('turnTimeout', ({ roomCode, playerId }) => {
+    io.to(roomCode).emit('game:turn_timeout', { playerId });
+  });
+
+  gameManager.on('autopilotEngaged', ({ roomCode, playerId }) => {
+    io.to(roomCode).emit('game:autopilot_engaged', { playerId });
+  });
+
+  gameManager.on('autopilotReleased', ({ roomCode, playerId }) => {
+    io.to(roomCode).emit('game:autopilot_released', { playerId });
   });
 
   gameManager.on('gameEnded', ({ roomCode, results, gameState }) => {
-    io.to(roomCode).emit('game:ended', { results, gameState });
+    io.to(roomCode).emit('game:ended', { results, gameState: createPublicView(gameState) });
+  });
+
+  gameManager.on('gamePaused', ({ roomCode, reason, initiatedBy }) => {
+    io.to(roomCode).emit('game:paused', { reason, initiatedBy });
   });
 
-  gameManager.on('gamePaused', ({ roomCode, reason }) => {
-    io.to(roomCode).emit('game:paused', { reason });
+  gameManager.on('gameResumed', ({ roomCode, reason, initiatedBy }) => {
+    io.to(roomCode).emit('game:resumed', { reason, initiatedBy });
   });
 
   console.log('🔌 Socket handlers initialized');
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getForbiddenBid } from '../src/game/rules.js';
+
+const biddingState = (bids, { cardsPerRound = 5, hookRule = true } = {}) => ({
+  cardsPerRound,
+  rules: { hookRule },
+  players: bids.map((bid, index) => ({ id: `p${index}`, bid }))
+});
+
+test('the hook rule forbids the last bid that would make the total equal the cards dealt', () => {
+  assert.equal(getForbiddenBid(biddingState([2, 1, null])), 2);
+  assert.equal(getForbiddenBid(biddingState([0, 0, null])), 5);
+});
+
+test('the hook rule forbids nothing when the total is already over or bidding is not at the last seat', () => {
+  assert.equal(getForbiddenBid(biddingState([4, 3, null])), null);
+  assert.equal(getForbiddenBid(biddingState([2, null, null])), null);
+  assert.equal(getForbiddenBid(biddingState([2, 1, null], { hookRule: false })), null);
+});
@@ -0,0 +1,58 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomManager } from '../src/managers/RoomManager.js';
+
+const roomManager = new RoomManager();
+
+after(() => roomManager.cleanup());
+
+const openLobby = () => {
+  const room = roomManager.createRoom('host', { gameLength: 3 });
+  roomManager.joinRoom(room.code, 'host', { name: 'Host' });
+  return room;
+};
+
+test('the host can change settings while the room is waiting', () => {
+  const room = openLobby();
+
+  roomManager.updateSettings(room.code, 'host', { gameLength: 4, rated: true, language: 'pt' });
+
+  assert.equal(room.settings.gameLength, 4);
+  assert.equal(room.settings.rated, true);
+  assert.equal(room.settings.language, 'pt');
+});
+
+test('on/off settings must be booleans', () => {
+  const room = openLobby();
+
+  for (const changes of [{ autoStart: 'yes' }, { rated: 'no' }, { hookRule: 1 }, { allowSpectators: null }]) {
+    assert.throws(() => roomManager.updateSettings(room.code, 'host', changes), /Invalid on\/off setting/);
+  }
+  assert.equal(room.settings.rated, false);
+  assert.throws(() => roomManager.createRoom('host', { seriesScoreboard: 'true' }), /Invalid on\/off setting/);
+});
+
+test('settings changes must be an object of known settings', () => {
+  const room = openLobby();
+
+  for (const changes of [null, 'rated', ['rated']]) {
+    assert.throws(() => roomManager.updateSettings(room.code, 'host', changes), /Invalid settings/);
+  }
+  assert.throws(() => roomManager.updateSettings(room.code, 'host', { colour: 'red' }), /Unknown setting: colour/);
+});
+
+test('only the host can change settings', () => {
+  const room = openLobby();
+  roomManager.joinRoom(room.code, 'guest', { name: 'Guest' });
+
+  assert.throws(() => roomManager.updateSettings(room.code, 'guest', { gameLength: 4 }), /Only the host can change the lobby/);
+});
+
+test('ready states can only change while the room is waiting', () => {
+  const room = openLobby();
+  roomManager.joinRoom(room.code, 'guest', { name: 'Guest' });
+  room.gameState = 'finished';
+
+  assert.throws(() => roomManager.updatePlayerReady(room.code, 'guest', true), /only be changed before the game starts/);
+  assert.equal(room.players.get('guest').isReady, false);
+});
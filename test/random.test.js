@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDeck, shuffleDeck } from '../src/game/cards.js';
+import { generateSeed, createSeededRandom } from '../src/game/random.js';
+
+const deal = seed => shuffleDeck(createDeck(), createSeededRandom(seed));
+
+test('seeds are 256 bits of randomness', () => {
+  const seed = generateSeed();
+
+  assert.match(seed, /^[0-9a-f]{64}$/);
+  assert.notEqual(seed, generateSeed());
+});
+
+test('the same seed always gives the same deal', () => {
+  const seed = generateSeed();
+
+  assert.deepEqual(deal(seed), deal(seed));
+  assert.notDeepEqual(deal(seed), deal(generateSeed()));
+});
+
+test('the stream stays within [0, 1)', () => {
+  const random = createSeededRandom(generateSeed());
+
+  for (let i = 0; i < 1000; i++) {
+    const value = random();
+    assert.ok(value >= 0 && value < 1);
+  }
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateRatingChanges, DEFAULT_RATING, RATING_K_FACTOR } from '../src/game/rating.js';
+
+const entry = (id, position, rating = DEFAULT_RATING) => ({ id, position, rating });
+const total = changes => Object.values(changes).reduce((sum, change) => sum + change, 0);
+
+test('between equal ratings the winner gains what the loser drops', () => {
+  const changes = calculateRatingChanges([entry('a', 1), entry('b', 2)]);
+
+  assert.deepEqual(changes, { a: RATING_K_FACTOR / 2, b: -RATING_K_FACTOR / 2 });
+});
+
+test('a shared position between equal ratings changes nothing', () => {
+  const changes = calculateRatingChanges([entry('a', 1), entry('b', 1)]);
+
+  assert.equal(changes.a, 0);
+  assert.equal(changes.b, 0);
+});
+
+test('beating a stronger player is worth more than beating a weaker one', () => {
+  const upset = calculateRatingChanges([entry('a', 1, 1400), entry('b', 2, 1600)]);
+  const expected = calculateRatingChanges([entry('a', 1, 1600), entry('b', 2, 1400)]);
+
+  assert.ok(upset.a > expected.a);
+  assert.ok(upset.b < expected.b);
+});
+
+test('in a free-for-all every place counts and the changes roughly balance', () => {
+  const changes = calculateRatingChanges([entry('a', 1), entry('b', 2), entry('c', 3), entry('d', 4)]);
+
+  assert.ok(changes.a > changes.b && changes.b > changes.c && changes.c > changes.d);
+  assert.equal(changes.a, RATING_K_FACTOR / 2);
+  assert.ok(Math.abs(total(changes)) <= 2);
+});
+
+test('a lone player is not rated', () => {
+  assert.deepEqual(calculateRatingChanges([entry('a', 1)]), {});
+  assert.deepEqual(calculateRatingChanges([]), {});
+});
@@ -0,0 +1,71 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomManager } from '../src/managers/RoomManager.js';
+import { PlayerManager } from '../src/managers/PlayerManager.js';
+import { GameManager } from '../src/managers/GameManager.js';
+
+const roomManager = new RoomManager();
+const playerManager = new PlayerManager();
+const gameManager = new GameManager(roomManager, playerManager);
+
+after(() => {
+  gameManager.cleanup();
+  roomManager.cleanup();
+});
+
+// Plays a whole game between humans: lowest legal bids and the first legal card every turn
+async function playGame(settings) {
+  const players = ['Ana', 'Bia', 'Caio'].map((name, index) => playerManager.createPlayer(`socket_${index}`, { name }));
+  const room = roomManager.createRoom(players[0].id, settings);
+  players.forEach(player => {
+    roomManager.joinRoom(room.code, player.id, { name: player.name, socketId: player.socketId });
+    roomManager.updatePlayerReady(room.code, player.id, true);
+  });
+
+  let gameState = await gameManager.startGame(room.code, players[0].id);
+  let ended = null;
+  gameManager.once('gameEnded', event => { ended = event; });
+
+  while (!ended) {
+    const current = gameState.players[gameState.currentPlayerIndex];
+    let action;
+    if (gameState.phase === 'roundEnd') {
+      action = { type: 'nextRound' };
+    } else if (gameState.phase === 'bidding') {
+      action = { type: 'placeBid', bid: gameState.forbiddenBid === 0 ? 1 : 0 };
+    } else {
+      action = { type: 'playCard', card: gameState.legalCards[0] };
+    }
+    gameState = await gameManager.processGameAction(room.code, current.id, action);
+  }
+
+  return { room, ended };
+}
+
+test('replaying the log of a finished game reproduces its final state', async () => {
+  const { room, ended } = await playGame({ gameLength: 3, hookRule: true, scoringPreset: 'penalty' });
+
+  const replay = await gameManager.getReplay(room.code);
+  assert.equal(replay.isFinished, true);
+  assert.equal(replay.gameId, ended.results.gameId);
+  assert.equal(replay.step, replay.totalSteps);
+  assert.deepEqual(replay.gameState.players, ended.gameState.players);
+  assert.deepEqual(replay.gameState.roundHistory, ended.gameState.roundHistory);
+  assert.equal(replay.gameState.phase, 'gameEnd');
+});
+
+test('a finished game can be stepped through by id', async () => {
+  const { ended } = await playGame({ gameLength: 2 });
+
+  const start = await gameManager.getMatchReplay(ended.results.gameId, 1);
+  assert.equal(start.entry.type, 'start');
+  assert.equal(start.gameState.phase, 'bidding');
+  start.gameState.players.forEach(player => assert.equal(player.hand.length, start.gameState.cardsPerRound));
+
+  const firstBid = await gameManager.getMatchReplay(ended.results.gameId, 2);
+  assert.equal(firstBid.entry.action.type, 'placeBid');
+  assert.equal(firstBid.gameState.players.filter(player => player.hasBid).length, 1);
+
+  await assert.rejects(gameManager.getMatchReplay(ended.results.gameId, start.totalSteps + 1), /Invalid replay step/);
+  await assert.rejects(gameManager.getMatchReplay('game_missing'), /Game record not found/);
+});
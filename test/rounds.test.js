@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRoundSequence, getMaxCardsPerRound, MAX_CARDS_PER_ROUND } from '../src/game/rounds.js';
+
+test('each shape builds its sequence from the game length', () => {
+  assert.deepEqual(createRoundSequence(3, 'downUp'), [3, 2, 1, 2, 3]);
+  assert.deepEqual(createRoundSequence(3, 'upDown'), [1, 2, 3, 2, 1]);
+  assert.deepEqual(createRoundSequence(3, 'down'), [3, 2, 1]);
+  assert.deepEqual(createRoundSequence(3, 'up'), [1, 2, 3]);
+  assert.deepEqual(createRoundSequence(1, 'downUp'), [1]);
+});
+
+test('custom rounds are played as given', () => {
+  assert.deepEqual(createRoundSequence(10, 'custom', [2, 5, 1]), [2, 5, 1]);
+  assert.equal(getMaxCardsPerRound({ gameLength: 10, roundShape: 'custom', customRounds: [2, 5, 1] }), 5);
+});
+
+test('unknown shapes and out of range game lengths are rejected', () => {
+  assert.throws(() => createRoundSequence(3, 'sideways'), /Invalid round shape/);
+  for (const gameLength of [0, -1, 2.5, '3', MAX_CARDS_PER_ROUND + 1]) {
+    assert.throws(() => createRoundSequence(gameLength, 'down'), /Invalid game length/);
+  }
+  assert.equal(createRoundSequence(MAX_CARDS_PER_ROUND, 'down').length, MAX_CARDS_PER_ROUND);
+});
+
+test('custom rounds must be a non-empty list of playable hand sizes', () => {
+  for (const customRounds of [[], null, [0], [2, 'x'], [1.5], [MAX_CARDS_PER_ROUND + 1]]) {
+    assert.throws(() => createRoundSequence(3, 'custom', customRounds), /Invalid custom rounds/);
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPlayViolation, getLegalCards } from '../src/game/rules.js';
+
+const card = (rank, suit) => ({ rank, suit });
+
+const trickState = (overrides = {}) => ({
+  trumpSuit: 'spades',
+  leadSuit: 'hearts',
+  currentTrick: [card('9', 'hearts')],
+  trumpBroken: false,
+  rules: {},
+  ...overrides
+});
+
+test('a player holding the lead suit must follow it', () => {
+  const hand = [card('2', 'hearts'), card('A', 'clubs'), card('3', 'spades')];
+
+  assert.equal(getPlayViolation(card('A', 'clubs'), hand, trickState()), 'Must follow the lead suit');
+  assert.equal(getPlayViolation(card('3', 'spades'), hand, trickState()), 'Must follow the lead suit');
+  assert.deepEqual(getLegalCards(hand, trickState()), [card('2', 'hearts')]);
+});
+
+test('a player void in the lead suit may discard anything', () => {
+  const hand = [card('A', 'clubs'), card('3', 'spades')];
+
+  assert.deepEqual(getLegalCards(hand, trickState()), hand);
+});
+
+test('mustTrumpIfVoid forces a trump when void in the lead suit', () => {
+  const hand = [card('A', 'clubs'), card('3', 'spades')];
+  const gameState = trickState({ rules: { mustTrumpIfVoid: true } });
+
+  assert.equal(getPlayViolation(card('A', 'clubs'), hand, gameState), 'Must play trump when void in the lead suit');
+  assert.deepEqual(getLegalCards(hand, gameState), [card('3', 'spades')]);
+  assert.deepEqual(getLegalCards([card('A', 'clubs')], gameState), [card('A', 'clubs')]);
+});
+
+test('noLeadTrumpUntilBroken keeps trump from being led until it is broken', () => {
+  const hand = [card('A', 'clubs'), card('3', 'spades')];
+  const leading = trickState({ currentTrick: [], leadSuit: null, rules: { noLeadTrumpUntilBroken: true } });
+
+  assert.equal(getPlayViolation(card('3', 'spades'), hand, leading), 'Cannot lead trump until trump has been broken');
+  assert.equal(getPlayViolation(card('3', 'spades'), hand, { ...leading, trumpBroken: true }), null);
+  assert.equal(getPlayViolation(card('3', 'spades'), [card('3', 'spades')], leading), null);
+});
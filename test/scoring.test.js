@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreRound, isScoringPreset, listScoringPresets, DEFAULT_SCORING_PRESET } from '../src/game/scoring.js';
+
+const score = (presetId, bid, actualWins, cardsInRound = 5) => scoreRound(presetId, bid, actualWins, cardsInRound).score;
+
+test('classic scores 10 plus tricks for an exact bid and nothing otherwise', () => {
+  assert.equal(score('classic', 2, 2), 12);
+  assert.equal(score('classic', 0, 0), 10);
+  assert.equal(score('classic', 2, 3), 0);
+});
+
+test('penalty takes a point for every trick over or under the bid', () => {
+  assert.equal(score('penalty', 3, 3), 13);
+  assert.equal(score('penalty', 3, 1), -2);
+  assert.equal(score('penalty', 0, 2), -2);
+});
+
+test('squared scores 5 plus tricks squared for an exact bid', () => {
+  assert.equal(score('squared', 3, 3), 14);
+  assert.equal(score('squared', 0, 0), 5);
+  assert.equal(score('squared', 3, 2), 0);
+});
+
+test('zeroBonus adds the cards dealt to a made zero bid from five cards up', () => {
+  assert.equal(score('zeroBonus', 0, 0, 5), 15);
+  assert.equal(score('zeroBonus', 0, 0, 4), 10);
+  assert.equal(score('zeroBonus', 1, 1, 7), 11);
+  assert.equal(score('zeroBonus', 0, 1, 7), 0);
+});
+
+test('unknown presets fall back to the default', () => {
+  assert.equal(isScoringPreset('nope'), false);
+  assert.equal(score('nope', 2, 2), score(DEFAULT_SCORING_PRESET, 2, 2));
+});
+
+test('every preset is listed with a name and description', () => {
+  const presets = listScoringPresets();
+
+  assert.deepEqual(presets.map(preset => preset.id), ['classic', 'penalty', 'squared', 'zeroBonus']);
+  presets.forEach(preset => {
+    assert.equal(typeof preset.name, 'string');
+    assert.equal(typeof preset.description, 'string');
+  });
+});
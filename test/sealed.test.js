@@ -0,0 +1,73 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { RoomManager } from '../src/managers/RoomManager.js';
+import { PlayerManager } from '../src/managers/PlayerManager.js';
+import { GameManager } from '../src/managers/GameManager.js';
+import { createPlayerView } from '../src/game/views.js';
+
+const roomManager = new RoomManager();
+const playerManager = new PlayerManager();
+const gameManager = new GameManager(roomManager, playerManager);
+
+after(() => {
+  gameManager.cleanup();
+  roomManager.cleanup();
+});
+
+async function startSealedGame() {
+  const players = ['Ana', 'Bia', 'Caio'].map((name, index) => playerManager.createPlayer(`socket_${index}`, { name }));
+  const room = roomManager.createRoom(players[0].id, { gameLength: 3, biddingMode: 'sealed' });
+  players.forEach(player => {
+    roomManager.joinRoom(room.code, player.id, { name: player.name, socketId: player.socketId });
+    roomManager.updatePlayerReady(room.code, player.id, true);
+  });
+
+  const gameState = await gameManager.startGame(room.code, players[0].id);
+  return { room, players: gameState.players };
+}
+
+test('sealed bids stay out of the game state and its broadcasts until everyone has bid', async () => {
+  const { room, players } = await startSealedGame();
+  const updates = [];
+  const reveals = [];
+  const onUpdate = event => updates.push(event);
+  const onReveal = event => reveals.push(event);
+  gameManager.on('gameStateUpdated', onUpdate);
+  gameManager.on('bidsRevealed', onReveal);
+
+  try {
+    // Out of seat order: sealed bids don't wait for a turn
+    await gameManager.processGameAction(room.code, players[2].id, { type: 'placeBid', bid: 2 });
+    const gameState = await gameManager.processGameAction(room.code, players[0].id, { type: 'placeBid', bid: 1 });
+
+    assert.deepEqual(updates.map(event => event.action), [
+      { type: 'placeBid', playerId: players[2].id },
+      { type: 'placeBid', playerId: players[0].id }
+    ]);
+    assert.equal(gameState.phase, 'bidding');
+    gameState.players.forEach(player => assert.equal(player.bid, null));
+    assert.deepEqual(gameState.players.map(player => player.hasBid), [true, false, true]);
+    assert.equal(createPlayerView(gameState, players[1].id).players[2].bid, null);
+    assert.equal(reveals.length, 0);
+
+    const revealed = await gameManager.processGameAction(room.code, players[1].id, { type: 'placeBid', bid: 0 });
+
+    assert.deepEqual(updates[2].action, { type: 'placeBid', playerId: players[1].id });
+    assert.deepEqual(reveals[0].bids.map(({ bid }) => bid), [1, 0, 2]);
+    assert.deepEqual(revealed.players.map(player => player.bid), [1, 0, 2]);
+    assert.equal(revealed.phase, 'playing');
+  } finally {
+    gameManager.off('gameStateUpdated', onUpdate);
+    gameManager.off('bidsRevealed', onReveal);
+  }
+});
+
+test('a live replay holds no sealed bids before they are revealed', async () => {
+  const { room, players } = await startSealedGame();
+  await gameManager.processGameAction(room.code, players[0].id, { type: 'placeBid', bid: 1 });
+
+  const replay = await gameManager.getReplay(room.code);
+
+  assert.equal(replay.isFinished, false);
+  replay.gameState.players.forEach(player => assert.equal(player.bid, null));
+});
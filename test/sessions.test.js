@@ -0,0 +1,65 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { signSessionToken, verifySessionToken } from '../src/auth/sessionTokens.js';
+import { PlayerManager } from '../src/managers/PlayerManager.js';
+
+before(() => {
+  process.env.SESSION_SECRET = 'test-secret';
+});
+
+test('a signed token verifies to its player and session', () => {
+  const session = verifySessionToken(signSessionToken('player_1', 'session_1'));
+
+  assert.equal(session.sub, 'player_1');
+  assert.equal(session.sid, 'session_1');
+  assert.ok(session.exp * 1000 > Date.now());
+});
+
+test('malformed tokens are rejected', () => {
+  for (const token of [undefined, null, '', 'abc', 'a.b.c', 42]) {
+    assert.throws(() => verifySessionToken(token), /Invalid session token/);
+  }
+});
+
+test('tampered tokens are rejected', () => {
+  const [payload, signature] = signSessionToken('player_1', 'session_1').split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'player_2', sid: 'session_1', exp: 4102444800 })).toString('base64url');
+
+  assert.throws(() => verifySessionToken(`${forged}.${signature}`), /Invalid session token/);
+  assert.throws(() => verifySessionToken(`${payload}.${signature.slice(0, -2)}xx`), /Invalid session token/);
+});
+
+test('tokens signed with another secret are rejected', () => {
+  const token = signSessionToken('player_1', 'session_1');
+  process.env.SESSION_SECRET = 'another-secret';
+  try {
+    assert.throws(() => verifySessionToken(token), /Invalid session token/);
+  } finally {
+    process.env.SESSION_SECRET = 'test-secret';
+  }
+});
+
+test('expired tokens are rejected', () => {
+  process.env.SESSION_TTL = '-10';
+  try {
+    assert.throws(() => verifySessionToken(signSessionToken('player_1', 'session_1')), /Session expired/);
+  } finally {
+    delete process.env.SESSION_TTL;
+  }
+});
+
+test('revoking a session rejects every token issued before it', async () => {
+  const playerManager = new PlayerManager();
+  const player = playerManager.createPlayer('socket_1', { name: 'Ana' });
+  const token = playerManager.issueSessionToken(player);
+
+  const { player: authenticated, session } = await playerManager.authenticateSession(token);
+  assert.equal(authenticated.id, player.id);
+  assert.equal(playerManager.isSessionActive(player, session), true);
+
+  playerManager.revokeSession(player.id);
+
+  await assert.rejects(playerManager.authenticateSession(token), /Session revoked/);
+  assert.equal(playerManager.isSessionActive(player, session), false);
+  assert.throws(() => playerManager.issueSessionToken(player), /Session revoked/);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStandings, isTiebreakerList } from '../src/game/standings.js';
+
+const player = (id, totalScore) => ({ id, name: id, isHuman: true, totalScore });
+const round = (...entries) => entries.map(([playerId, bid, actualWins]) => ({ playerId, bid, actualWins }));
+
+const positions = standings => standings.map(({ id, position }) => [id, position]);
+
+test('players are ranked by score, best first', () => {
+  const standings = computeStandings([player('a', 10), player('b', 30), player('c', 20)]);
+
+  assert.deepEqual(positions(standings), [['b', 1], ['c', 2], ['a', 3]]);
+});
+
+test('tiebreakers separate equal scores in the order given', () => {
+  const players = [player('a', 20), player('b', 20)];
+  const roundHistory = [
+    round(['a', 1, 1], ['b', 2, 2]),
+    round(['a', 0, 1], ['b', 1, 3])
+  ];
+
+  // Both made one bid; b took more tricks
+  assert.deepEqual(positions(computeStandings(players, roundHistory)), [['b', 1], ['a', 2]]);
+  assert.deepEqual(positions(computeStandings(players, roundHistory, ['exactBids'])), [['a', 1], ['b', 1]]);
+});
+
+test('players level after every tiebreaker share a place and the next place is skipped', () => {
+  const players = [player('a', 20), player('b', 20), player('c', 5)];
+  const roundHistory = [round(['a', 1, 1], ['b', 1, 1], ['c', 0, 1])];
+
+  assert.deepEqual(positions(computeStandings(players, roundHistory)), [['a', 1], ['b', 1], ['c', 3]]);
+});
+
+test('tiebreaker lists must name known tiebreakers once each', () => {
+  assert.equal(isTiebreakerList(['tricksWon', 'exactBids']), true);
+  assert.equal(isTiebreakerList([]), true);
+  assert.equal(isTiebreakerList(['tricksWon', 'tricksWon']), false);
+  assert.equal(isTiebreakerList(['luck']), false);
+  assert.equal(isTiebreakerList('exactBids'), false);
+});
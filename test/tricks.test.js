@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { beatsCard } from '../src/game/cards.js';
+import { GameManager } from '../src/managers/GameManager.js';
+
+const card = (rank, suit) => ({ rank, suit });
+
+// findTrickWinner only needs the room manager's events
+const gameManager = new GameManager(new EventEmitter(), new EventEmitter());
+const trickWinner = (trick, trumpSuit, rankOrder) =>
+  gameManager.findTrickWinner(trick, trick.map((_, index) => `p${index}`), trumpSuit, trick[0].suit, rankOrder);
+
+test('the highest card of the lead suit wins a trick without trump', () => {
+  assert.equal(trickWinner([card('10', 'hearts'), card('K', 'hearts'), card('A', 'clubs')], 'spades'), 'p1');
+});
+
+test('off-suit cards never win', () => {
+  assert.equal(trickWinner([card('2', 'hearts'), card('A', 'clubs'), card('A', 'diamonds')], 'spades'), 'p0');
+});
+
+test('any trump beats the lead suit and the highest trump wins', () => {
+  assert.equal(trickWinner([card('A', 'hearts'), card('2', 'spades'), card('5', 'spades')], 'spades'), 'p2');
+  assert.equal(trickWinner([card('A', 'hearts'), card('2', 'spades'), card('K', 'hearts')], 'spades'), 'p1');
+});
+
+test('a trump lead is won by the highest trump', () => {
+  assert.equal(trickWinner([card('9', 'spades'), card('A', 'hearts'), card('J', 'spades')], 'spades'), 'p2');
+});
+
+test('with ace low the ace loses to every other rank', () => {
+  assert.equal(beatsCard(card('A', 'hearts'), card('2', 'hearts'), null, 'aceLow'), false);
+  assert.equal(beatsCard(card('2', 'hearts'), card('A', 'hearts'), null, 'aceLow'), true);
+  assert.equal(trickWinner([card('A', 'hearts'), card('K', 'hearts')], null, 'aceLow'), 'p1');
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPublicView, createPlayerView } from '../src/game/views.js';
+
+const card = (rank, suit) => ({ rank, suit });
+
+const gameState = ({ cardsPerRound = 2, blindOneCard = false } = {}) => {
+  const hands = cardsPerRound === 1
+    ? [[card('A', 'hearts')], [card('2', 'clubs')]]
+    : [[card('A', 'hearts'), card('3', 'spades')], [card('2', 'clubs'), card('K', 'diamonds')]];
+
+  return {
+    phase: 'playing',
+    cardsPerRound,
+    rules: { blindOneCard },
+    currentPlayerIndex: 0,
+    deck: [card('4', 'hearts'), card('5', 'hearts')],
+    legalCards: hands[0],
+    players: [
+      { id: 'ana', name: 'Ana', hand: hands[0] },
+      { id: 'bia', name: 'Bia', hand: hands[1] }
+    ]
+  };
+};
+
+test('the public view carries no hands, deck or legal cards', () => {
+  const view = createPublicView(gameState());
+
+  view.players.forEach(player => {
+    assert.equal(player.hand, undefined);
+    assert.equal(player.handCount, 2);
+  });
+  assert.equal(view.deck, undefined);
+  assert.equal(view.deckCount, 2);
+  assert.deepEqual(view.legalCards, []);
+});
+
+test('a seated player sees only their own hand', () => {
+  const state = gameState();
+  const view = createPlayerView(state, 'ana');
+
+  assert.deepEqual(view.players[0].hand, state.players[0].hand);
+  assert.equal(view.players[1].hand, undefined);
+  assert.equal(view.players[1].handCount, 2);
+  assert.deepEqual(view.legalCards, state.legalCards);
+});
+
+test('legal cards are only shown to the player on turn', () => {
+  assert.deepEqual(createPlayerView(gameState(), 'bia').legalCards, []);
+});
+
+test('in a blind round a player sees every card but their own', () => {
+  const state = gameState({ cardsPerRound: 1, blindOneCard: true });
+  const view = createPlayerView(state, 'ana');
+
+  assert.deepEqual(view.players[0].hand, [{ hidden: true }]);
+  assert.deepEqual(view.players[1].hand, state.players[1].hand);
+  assert.deepEqual(view.legalCards, [{ hidden: true }]);
+});
+
+test('someone without a seat gets the public view, blind round or not', () => {
+  for (const state of [gameState(), gameState({ cardsPerRound: 1, blindOneCard: true })]) {
+    assert.deepEqual(createPlayerView(state, 'stranger'), createPublicView(state));
+  }
+});
+
+test('views leave the game state untouched', () => {
+  const state = gameState({ cardsPerRound: 1, blindOneCard: true });
+  const copy = structuredClone(state);
+
+  createPlayerView(state, 'ana');
+  createPublicView(state);
+  assert.deepEqual(state, copy);
+});